@@ -1,30 +1,62 @@
 #!/usr/bin/env node
 /**
  * FASS Database Builder
- * Fetches all Swedish medications from FASS API and builds a compact local database.
- * 
+ * Fetches all Swedish medications from FASS API and builds the local database
+ * in the schema read by fass_lookup.js (see database.js).
+ *
  * Usage:
- *   node build-database.js          # Fetch all medications
- *   node build-database.js --test   # Fetch first 100 for testing
+ *   node build-database.js                      # Fetch all medications
+ *   node build-database.js --test               # Fetch first 100 for testing
+ *   node build-database.js --api-base <url|dir> # Use another server or a fixture directory
+ *   node build-database.js --fresh              # Ignore the checkpoint of an interrupted build
+ *
+ * The API base can also be set with FASS_API_BASE. Progress is checkpointed
+ * after every page, so rerunning an interrupted build resumes where it stopped.
+ * When a previous build exists, the changes are written to data/changelog.json
+ * and data/changelog.md (see database-diff.js); test builds write no changelog.
+ * Both are kept out of git and the npm package.
  */
 
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const zlib = require('zlib');
 const path = require('path');
+const {
+  createMedicationRecord,
+  createDatabase,
+  buildSubstanceIndex,
+  readDatabaseFile,
+  findDatabaseFile
+} = require('./database');
+const { diffDatabases, formatChangelog } = require('./database-diff');
 
 const API_BASE = 'https://api.fass.se';
 const DATA_DIR = path.join(__dirname, '..', 'data');
 
+const DEFAULT_OPTIONS = {
+  apiBase: API_BASE,
+  dataDir: DATA_DIR,
+  testMode: false,
+  fresh: false,
+  pageSize: 100,
+  retries: 4,
+  retryDelay: 1000, // doubled after every failed attempt
+  pageDelay: 100,   // be nice to the API
+  log: console.log
+};
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
 /**
- * Make HTTPS request with promise
+ * Make HTTP(S) request with promise
  */
-function fetchJSON(urlPath) {
+function fetchHttpJSON(url) {
+  const client = url.startsWith('http:') ? http : https;
+  
   return new Promise((resolve, reject) => {
-    const url = `${API_BASE}${urlPath}`;
-    console.log(`Fetching: ${url}`);
-    
-    const req = https.get(url, {
+    const req = client.get(url, {
       headers: {
         'Accept': 'application/fassapi-v1+json',
         'User-Agent': 'SwedishMedicationsSkill/1.0'
@@ -33,6 +65,12 @@ function fetchJSON(urlPath) {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
+        if (res.statusCode >= 400) {
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+          return;
+        }
         try {
           resolve(JSON.parse(data));
         } catch (e) {
@@ -50,170 +88,214 @@ function fetchJSON(urlPath) {
 }
 
 /**
- * Fetch all medications with pagination
+ * Fixture file for an API path, e.g.
+ * /fass-document/all?number=100&cursor=abc -> fass-document_all_number_100_cursor_abc.json
  */
-async function fetchAllMedications(testMode = false) {
-  const medications = [];
-  let cursor = null;
-  let pageSize = 100;
-  let maxPages = testMode ? 1 : 1000; // Safety limit
-  let page = 0;
-  
-  console.log(`\n📦 Fetching medications from FASS API${testMode ? ' (TEST MODE - 1 page)' : ''}...\n`);
+function fixtureFileName(urlPath) {
+  return decodeURIComponent(urlPath).replace(/^\/+/, '').replace(/[^A-Za-z0-9.-]+/g, '_') + '.json';
+}
+
+/**
+ * Create a fetch function for an API base: an http(s) URL, or a directory
+ * of recorded responses named by fixtureFileName
+ */
+function createFetcher(apiBase, log = console.log) {
+  if (/^https?:\/\//.test(apiBase)) {
+    const base = apiBase.replace(/\/+$/, '');
+    return urlPath => {
+      log(`Fetching: ${base}${urlPath}`);
+      return fetchHttpJSON(`${base}${urlPath}`);
+    };
+  }
   
-  while (page < maxPages) {
+  return async urlPath => {
+    const filePath = path.join(apiBase, fixtureFileName(urlPath));
+    log(`Reading: ${filePath}`);
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  };
+}
+
+/**
+ * Network errors, timeouts, rate limiting and server errors are worth retrying;
+ * client errors and missing fixtures are not
+ */
+function isTransientError(error) {
+  if (error.statusCode) return error.statusCode === 429 || error.statusCode >= 500;
+  return error.code !== 'ENOENT';
+}
+
+/**
+ * Fetch with exponential backoff on transient failures
+ */
+async function fetchWithRetry(fetchJSON, urlPath, { retries = 0, retryDelay = 0, log = console.log } = {}) {
+  for (let attempt = 0; ; attempt++) {
     try {
-      const urlPath = cursor 
-        ? `/fass-document/all?number=${pageSize}&cursor=${encodeURIComponent(cursor)}`
-        : `/fass-document/all?number=${pageSize}`;
-      
-      const response = await fetchJSON(urlPath);
-      
-      if (!response.content || response.content.length === 0) {
-        console.log('No more results.');
-        break;
-      }
-      
-      // Extract compact medication data
-      for (const doc of response.content) {
-        const med = extractMedicationData(doc);
-        if (med) {
-          medications.push(med);
-        }
-      }
-      
-      console.log(`  Page ${page + 1}: Got ${response.content.length} items (total: ${medications.length})`);
-      
-      // Check for next page
-      if (response.page && response.page.cursor) {
-        cursor = response.page.cursor;
-      } else {
-        break;
-      }
-      
-      page++;
-      
-      // Small delay to be nice to the API
-      await new Promise(r => setTimeout(r, 100));
-      
+      return await fetchJSON(urlPath);
     } catch (error) {
-      console.error(`Error on page ${page + 1}: ${error.message}`);
-      if (page === 0) throw error; // Fail if first page fails
-      break; // Continue with what we have
+      if (attempt >= retries || !isTransientError(error)) throw error;
+      const delay = retryDelay * 2 ** attempt;
+      log(`  ${error.message}, retrying in ${delay} ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
     }
   }
-  
-  return medications;
 }
 
 /**
- * Extract compact medication data from FASS document
+ * Checkpoint file name of a build, one per API base, page size and mode,
+ * so a test run or a build from another source never touches the progress
+ * of an interrupted full build
  */
-function extractMedicationData(doc) {
-  if (!doc) return null;
-  
+function checkpointFileName(opts) {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([opts.apiBase, opts.pageSize, Boolean(opts.testMode)]))
+    .digest('hex')
+    .slice(0, 8);
+  return `.build-checkpoint-${key}.json`;
+}
+
+/**
+ * Read a pagination checkpoint, or null if there is none
+ */
+function readCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) return null;
   try {
-    return {
-      id: doc.nplId || doc.id,
-      n: doc.productName || doc.name || '',           // name
-      s: doc.substanceName || doc.substance || '',    // substance
-      a: doc.atcCode || '',                           // ATC code
-      f: doc.pharmaceuticalForm || '',                // form
-      st: doc.strength || '',                         // strength
-      rx: doc.prescriptionRequired !== false,         // prescription required
-      m: doc.marketingAuthorizationHolder || ''       // manufacturer
-    };
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
   } catch (e) {
     return null;
   }
 }
 
 /**
- * Build search index for fast lookups
+ * Write a checkpoint atomically, so an interrupted write never leaves a broken file
+ */
+function writeCheckpoint(checkpointPath, state) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  const tmpPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state));
+  fs.renameSync(tmpPath, checkpointPath);
+}
+
+/**
+ * Fetch all medications with pagination
  */
-function buildSearchIndex(medications) {
-  const index = {
-    byName: {},      // name -> [ids]
-    bySubstance: {}, // substance -> [ids]
-    byAtc: {}        // atc -> [ids]
+async function fetchAllMedications(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { log } = opts;
+  const fetchJSON = opts.fetchJSON || createFetcher(opts.apiBase, log);
+  const checkpointPath = opts.checkpointPath || path.join(opts.dataDir, checkpointFileName(opts));
+  const maxPages = opts.testMode ? 1 : 1000; // Safety limit
+  
+  let state = {
+    apiBase: opts.apiBase,
+    pageSize: opts.pageSize,
+    testMode: opts.testMode,
+    page: 0,
+    cursor: null,
+    medications: []
   };
+  const saved = opts.fresh ? null : readCheckpoint(checkpointPath);
+  // Only resume a build with the same source and mode; a test run must not
+  // finish a real build's checkpoint, or the other way round
+  if (saved && saved.apiBase === opts.apiBase && saved.pageSize === opts.pageSize &&
+      Boolean(saved.testMode) === Boolean(opts.testMode)) {
+    state = saved;
+    log(`\n⏯️  Resuming from page ${state.page + 1} (${state.medications.length} medications so far)`);
+  } else if (saved) {
+    log('\n⏭️  Not resuming the checkpoint of a build with other options');
+  }
   
-  for (let i = 0; i < medications.length; i++) {
-    const med = medications[i];
-    const idx = i;
+  log(`\n📦 Fetching medications from ${opts.apiBase}${opts.testMode ? ' (TEST MODE - 1 page)' : ''}...\n`);
+  
+  while (state.page < maxPages) {
+    const urlPath = state.cursor
+      ? `/fass-document/all?number=${opts.pageSize}&cursor=${encodeURIComponent(state.cursor)}`
+      : `/fass-document/all?number=${opts.pageSize}`;
     
-    // Index by name (lowercase)
-    if (med.n) {
-      const nameLower = med.n.toLowerCase();
-      if (!index.byName[nameLower]) index.byName[nameLower] = [];
-      index.byName[nameLower].push(idx);
-      
-      // Also index first word
-      const firstWord = nameLower.split(/\s+/)[0];
-      if (firstWord && firstWord !== nameLower) {
-        if (!index.byName[firstWord]) index.byName[firstWord] = [];
-        index.byName[firstWord].push(idx);
-      }
+    let response;
+    try {
+      response = await fetchWithRetry(fetchJSON, urlPath, opts);
+    } catch (error) {
+      error.message = `Page ${state.page + 1}: ${error.message}`;
+      throw error;
     }
     
-    // Index by substance
-    if (med.s) {
-      const subLower = med.s.toLowerCase();
-      if (!index.bySubstance[subLower]) index.bySubstance[subLower] = [];
-      index.bySubstance[subLower].push(idx);
+    if (!response.content || response.content.length === 0) {
+      log('No more results.');
+      break;
     }
     
-    // Index by ATC
-    if (med.a) {
-      const atc = med.a.toUpperCase();
-      if (!index.byAtc[atc]) index.byAtc[atc] = [];
-      index.byAtc[atc].push(idx);
-      
-      // Also index ATC prefixes (e.g., N02 for N02BE01)
-      for (let len = 3; len < atc.length; len++) {
-        const prefix = atc.substring(0, len);
-        if (!index.byAtc[prefix]) index.byAtc[prefix] = [];
-        if (!index.byAtc[prefix].includes(idx)) {
-          index.byAtc[prefix].push(idx);
-        }
+    for (const doc of response.content) {
+      const med = extractMedicationData(doc);
+      if (med) {
+        state.medications.push(med);
       }
     }
+    
+    log(`  Page ${state.page + 1}: Got ${response.content.length} items (total: ${state.medications.length})`);
+    
+    state.page++;
+    state.cursor = response.page && response.page.cursor ? response.page.cursor : null;
+    if (!state.cursor) break;
+    
+    writeCheckpoint(checkpointPath, state);
+    await sleep(opts.pageDelay);
   }
   
-  return index;
+  if (fs.existsSync(checkpointPath)) fs.unlinkSync(checkpointPath);
+  
+  return state.medications;
+}
+
+/**
+ * Extract a database record from a FASS document
+ */
+function extractMedicationData(doc) {
+  if (!doc) return null;
+  
+  try {
+    return createMedicationRecord({
+      nplId: doc.nplId || doc.id,
+      name: doc.productName || doc.name || '',
+      activeSubstances: doc.substanceName || doc.substance || '',
+      atcCode: doc.atcCode || '',
+      form: doc.pharmaceuticalForm || '',
+      strength: doc.strength || '',
+      prescriptionRequired: doc.prescriptionRequired,
+      manufacturer: doc.marketingAuthorizationHolder || '',
+      narcoticsClass: doc.narcoticsClass
+    });
+  } catch (e) {
+    return null;
+  }
 }
 
 /**
  * Save database to files
  */
-function saveDatabase(medications, index) {
+function saveDatabase(medications, substances, dataDir = DATA_DIR) {
   // Ensure data directory exists
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
   }
   
-  const db = {
-    version: '1.0.0',
-    updated: new Date().toISOString(),
-    count: medications.length,
-    medications: medications
-  };
+  const db = createDatabase(medications);
   
   // Save compressed JSON
-  const jsonStr = JSON.stringify(db);
+  const jsonStr = JSON.stringify(db, null, 2);
   const compressed = zlib.gzipSync(jsonStr);
-  const compressedPath = path.join(DATA_DIR, 'medications.json.gz');
+  const compressedPath = path.join(dataDir, 'medications.json.gz');
   fs.writeFileSync(compressedPath, compressed);
   
   // Also save uncompressed for easy inspection
-  const jsonPath = path.join(DATA_DIR, 'medications.json');
+  const jsonPath = path.join(dataDir, 'medications.json');
   fs.writeFileSync(jsonPath, jsonStr);
   
-  // Save index
-  const indexPath = path.join(DATA_DIR, 'index.json');
-  fs.writeFileSync(indexPath, JSON.stringify(index));
+  // Save substance index
+  const substancesPath = path.join(dataDir, 'substances.json');
+  fs.writeFileSync(substancesPath, JSON.stringify(substances, null, 2));
   
   const stats = {
+    updated: db.updated,
     medications: medications.length,
     jsonSize: (jsonStr.length / 1024).toFixed(1) + ' KB',
     compressedSize: (compressed.length / 1024).toFixed(1) + ' KB',
@@ -223,36 +305,73 @@ function saveDatabase(medications, index) {
   return stats;
 }
 
+/**
+ * Fetch, index and save the database
+ */
+async function buildDatabase(options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { log } = opts;
+  
+  const medications = await fetchAllMedications(opts);
+  if (medications.length === 0) {
+    throw new Error('No medications fetched!');
+  }
+  
+  log(`\n✅ Fetched ${medications.length} medications`);
+  
+  // Build substance index
+  log('\n📇 Building substance index...');
+  const substances = buildSubstanceIndex(medications);
+  log(`   Indexed ${Object.keys(substances).length} substances`);
+  
+  // Keep the previous build to diff against
+  const previousPath = findDatabaseFile(opts.dataDir);
+  let previous = null;
+  if (previousPath) {
+    try {
+      previous = readDatabaseFile(previousPath);
+    } catch (error) {
+      log(`\n⚠️  Previous database unreadable, skipping changelog: ${error.message}`);
+    }
+  }
+  
+  // Save
+  log('\n💾 Saving database...');
+  const stats = saveDatabase(medications, substances, opts.dataDir);
+  
+  // Changelog; a test build's first page says nothing about what changed
+  if (previous && !opts.testMode) {
+    const diff = diffDatabases(previous, { updated: stats.updated, medications });
+    fs.writeFileSync(path.join(opts.dataDir, 'changelog.json'), JSON.stringify(diff, null, 2));
+    fs.writeFileSync(path.join(opts.dataDir, 'changelog.md'), formatChangelog(diff));
+    log(`\n📋 Changes since ${previous.updated || 'previous build'}: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`);
+    stats.changes = diff.summary;
+  }
+  
+  return stats;
+}
+
 /**
  * Main
  */
 async function main() {
-  const testMode = process.argv.includes('--test');
+  const args = process.argv.slice(2);
+  const apiBaseIdx = args.indexOf('--api-base');
+  if (apiBaseIdx !== -1 && (!args[apiBaseIdx + 1] || args[apiBaseIdx + 1].startsWith('--'))) {
+    console.log('Usage: node build-database.js --api-base <url|dir> [--test] [--fresh]');
+    process.exit(1);
+  }
+  const options = {
+    testMode: args.includes('--test'),
+    fresh: args.includes('--fresh'),
+    apiBase: apiBaseIdx !== -1 ? args[apiBaseIdx + 1] : (process.env.FASS_API_BASE || API_BASE)
+  };
   
   console.log('🏥 Swedish Medications Database Builder');
   console.log('=======================================\n');
   
   try {
-    // Fetch medications
-    const medications = await fetchAllMedications(testMode);
-    
-    if (medications.length === 0) {
-      console.error('❌ No medications fetched!');
-      process.exit(1);
-    }
-    
-    console.log(`\n✅ Fetched ${medications.length} medications`);
-    
-    // Build index
-    console.log('\n📇 Building search index...');
-    const index = buildSearchIndex(medications);
-    console.log(`   Indexed ${Object.keys(index.byName).length} names`);
-    console.log(`   Indexed ${Object.keys(index.bySubstance).length} substances`);
-    console.log(`   Indexed ${Object.keys(index.byAtc).length} ATC codes`);
-    
-    // Save
-    console.log('\n💾 Saving database...');
-    const stats = saveDatabase(medications, index);
+    const stats = await buildDatabase(options);
     
     console.log('\n📊 Database Statistics:');
     console.log(`   Medications: ${stats.medications}`);
@@ -261,11 +380,28 @@ async function main() {
     console.log(`   Compression: ${stats.compressionRatio}`);
     
     console.log(`\n✨ Done! Database saved to ${DATA_DIR}/`);
-    
+  
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);
+    if (fs.existsSync(path.join(DATA_DIR, checkpointFileName({ ...DEFAULT_OPTIONS, ...options })))) {
+      console.error('   Progress was saved; run again to resume, or pass --fresh to start over.');
+    }
     process.exit(1);
   }
 }
 
-main();
+module.exports = {
+  API_BASE,
+  checkpointFileName,
+  createFetcher,
+  fixtureFileName,
+  fetchWithRetry,
+  fetchAllMedications,
+  extractMedicationData,
+  saveDatabase,
+  buildDatabase
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,160 @@
+/**
+ * Curated Medications
+ * Loads the hand-written entries in data/curated-medications.json and
+ * checks them against the full database, so the file can be edited
+ * without touching code.
+ *
+ *   loadCuratedMedications()                       -> { paracetamol: { brands, use, ... }, ... }
+ *   checkCuratedMedications(curated, medications)  -> [{ medication, field, severity, message }]
+ *
+ * The file must match schema/curated-medications.schema.json; loading
+ * fails with every schema error listed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadSchema, validate } = require('./json-schema');
+const { normalizeForMatch } = require('./fuzzy');
+
+const CURATED_FILE = path.join(__dirname, '..', 'data', 'curated-medications.json');
+
+let SCHEMA = null;
+
+function getSchema() {
+  if (!SCHEMA) SCHEMA = loadSchema('curated-medications');
+  return SCHEMA;
+}
+
+/**
+ * Read and schema-check a curated file without throwing; returns
+ * { medications, errors } (medications is null when unreadable)
+ */
+function readCuratedFile(file = CURATED_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return { medications: null, errors: [error.message] };
+  }
+
+  const errors = validate(getSchema(), data);
+  const medications = data && typeof data.medications === 'object' ? data.medications : null;
+  for (const name of Object.keys(medications || {})) {
+    if (name !== name.toLowerCase().trim()) {
+      errors.push(`$.medications.${name}: name must be lowercase`);
+    }
+  }
+  return { medications, errors };
+}
+
+/**
+ * Load curated medications, keyed by lowercase substance name
+ */
+function loadCuratedMedications(file = CURATED_FILE) {
+  const { medications, errors } = readCuratedFile(file);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid curated medications in ${file}:\n  ${errors.join('\n  ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return medications;
+}
+
+function substanceMatches(substance, name) {
+  const normalized = normalizeForMatch(substance);
+  return normalized === name || normalized.startsWith(name);
+}
+
+/**
+ * Check curated entries against database products. Errors: the ATC code
+ * has no products, or its products lack the curated substance. Warnings:
+ * a brand that is no product name (brands missing from the database are
+ * kept on purpose, people still ask for them).
+ */
+function checkCuratedMedications(curated, medications) {
+  const issues = [];
+  const byAtc = new Map();
+  for (const med of medications) {
+    if (!med.atcCode) continue;
+    if (!byAtc.has(med.atcCode)) byAtc.set(med.atcCode, []);
+    byAtc.get(med.atcCode).push(med);
+  }
+  const productNames = medications.map(med => (med.nameNormalized || med.name.toLowerCase()));
+
+  for (const [name, info] of Object.entries(curated)) {
+    const issue = (field, severity, message) => issues.push({ medication: name, field, severity, message });
+    const substance = normalizeForMatch(name);
+
+    const products = byAtc.get(info.atc) || [];
+    if (products.length === 0) {
+      issue('atc', 'error', `No product with ATC code ${info.atc}`);
+    } else if (!products.some(med => (med.activeSubstances || []).some(sub => substanceMatches(sub, substance)))) {
+      const substances = [...new Set(products.flatMap(med => med.activeSubstances || []))].slice(0, 3);
+      issue('atc', 'error', `ATC code ${info.atc} is ${substances.join(', ')}, not ${name}`);
+    }
+
+    for (const brand of info.brands) {
+      const brandLower = brand.toLowerCase();
+      if (!productNames.some(product => product === brandLower || product.startsWith(`${brandLower} `))) {
+        issue('brands', 'warning', `Brand "${brand}" is not a product name in the database`);
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validate a curated file: schema errors and database mismatches.
+ * `valid` is false on schema errors or error-level issues.
+ */
+function validateCuratedFile(file, medications) {
+  const { medications: curated, errors } = readCuratedFile(file);
+  const issues = curated && errors.length === 0 ? checkCuratedMedications(curated, medications) : [];
+  return {
+    file,
+    count: curated ? Object.keys(curated).length : 0,
+    schemaErrors: errors,
+    issues,
+    valid: errors.length === 0 && !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Markdown report for validateCuratedFile
+ */
+function formatCuratedValidation(report) {
+  const output = [`## Curated Medications: ${path.basename(report.file)}`, ''];
+
+  if (report.schemaErrors.length > 0) {
+    output.push(`### ❌ Schema (${report.schemaErrors.length})`);
+    report.schemaErrors.forEach(error => output.push(`- ${error}`));
+    output.push('');
+  }
+
+  const errors = report.issues.filter(issue => issue.severity === 'error');
+  const warnings = report.issues.filter(issue => issue.severity === 'warning');
+  if (errors.length > 0) {
+    output.push(`### ❌ Errors (${errors.length})`);
+    errors.forEach(issue => output.push(`- **${issue.medication}** (${issue.field}): ${issue.message}`));
+    output.push('');
+  }
+  if (warnings.length > 0) {
+    output.push(`### ⚠️ Warnings (${warnings.length})`);
+    warnings.forEach(issue => output.push(`- **${issue.medication}** (${issue.field}): ${issue.message}`));
+    output.push('');
+  }
+
+  output.push(report.valid
+    ? `✅ ${report.count} curated medications checked against the database.`
+    : `❌ ${report.count} curated medications checked, fix the errors above.`);
+  return output.join('\n');
+}
+
+module.exports = {
+  CURATED_FILE,
+  readCuratedFile,
+  loadCuratedMedications,
+  checkCuratedMedications,
+  validateCuratedFile,
+  formatCuratedValidation
+};
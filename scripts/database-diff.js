@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Database Diff
+ * Compares two builds of the medications database by nplId and reports
+ * which products were added, removed or changed.
+ *
+ * Usage:
+ *   node database-diff.js <previous> <next>          # Markdown summary
+ *   node database-diff.js <previous> <next> --json   # Machine-readable changelog
+ *
+ * Both files may be any schema version read by database.js, plain or gzipped.
+ * build-database.js runs this automatically and writes data/changelog.json
+ * and data/changelog.md.
+ */
+
+const { readDatabaseFile } = require('./database');
+
+// Fields compared between builds (nameNormalized, summary and parsedStrength are derived)
+const TRACKED_FIELDS = [
+  'name',
+  'activeSubstances',
+  'prescriptionRequired',
+  'strength',
+  'form',
+  'atcCode',
+  'manufacturer',
+  'narcoticsClass'
+];
+
+const MARKDOWN_LIST_LIMIT = 100;
+
+function fieldValue(med, field) {
+  const value = med[field];
+  if (Array.isArray(value)) return value.join(', ');
+  return value === undefined ? null : value;
+}
+
+/**
+ * Product fields included for added and removed entries
+ */
+function describeProduct(med) {
+  return {
+    nplId: med.nplId,
+    name: med.name,
+    strength: med.strength,
+    form: med.form,
+    atcCode: med.atcCode,
+    prescriptionRequired: med.prescriptionRequired
+  };
+}
+
+/**
+ * Compare two databases (current schema) by nplId
+ */
+function diffDatabases(previous, next) {
+  const before = new Map(previous.medications.map(med => [med.nplId, med]));
+  const after = new Map(next.medications.map(med => [med.nplId, med]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [nplId, med] of after) {
+    const old = before.get(nplId);
+    if (!old) {
+      added.push(describeProduct(med));
+      continue;
+    }
+
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+      const from = fieldValue(old, field);
+      const to = fieldValue(med, field);
+      if (from !== to) changes[field] = { from, to };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ nplId, name: med.name, changes });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const [nplId, med] of before) {
+    if (!after.has(nplId)) removed.push(describeProduct(med));
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name, 'sv');
+  added.sort(byName);
+  removed.sort(byName);
+  changed.sort(byName);
+
+  return {
+    from: previous.updated,
+    to: next.updated,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged
+    },
+    added,
+    removed,
+    changed
+  };
+}
+
+function formatValue(field, value) {
+  if (value === null || value === '') return '—';
+  if (field === 'prescriptionRequired') return value ? 'Rx' : 'OTC';
+  return String(value);
+}
+
+function formatProduct(med) {
+  let line = `- **${med.name}**`;
+  if (med.strength) line += ` ${med.strength}`;
+  if (med.form) line += ` (${med.form})`;
+  if (med.atcCode) line += ` · ${med.atcCode}`;
+  line += ` · ${formatValue('prescriptionRequired', med.prescriptionRequired)} · \`${med.nplId}\``;
+  return line;
+}
+
+/**
+ * Append at most MARKDOWN_LIST_LIMIT entries; the JSON changelog has them all
+ */
+function pushLimited(output, entries, format) {
+  for (const entry of entries.slice(0, MARKDOWN_LIST_LIMIT)) {
+    output.push(format(entry));
+  }
+  if (entries.length > MARKDOWN_LIST_LIMIT) {
+    output.push(`- *…and ${entries.length - MARKDOWN_LIST_LIMIT} more (see changelog.json)*`);
+  }
+  output.push('');
+}
+
+/**
+ * Markdown summary of a diff
+ */
+function formatChangelog(diff) {
+  const { summary } = diff;
+  const output = [];
+  output.push('## 📋 Medications Database Changes\n');
+  output.push(`**Previous build:** ${diff.from || 'unknown'}`);
+  output.push(`**New build:** ${diff.to || 'unknown'}\n`);
+  output.push(`**Added:** ${summary.added} · **Removed:** ${summary.removed} · **Changed:** ${summary.changed} · **Unchanged:** ${summary.unchanged}\n`);
+
+  if (diff.added.length > 0) {
+    output.push(`### ➕ Added (${diff.added.length})`);
+    pushLimited(output, diff.added, formatProduct);
+  }
+
+  if (diff.removed.length > 0) {
+    output.push(`### ➖ Removed (${diff.removed.length})`);
+    pushLimited(output, diff.removed, formatProduct);
+  }
+
+  if (diff.changed.length > 0) {
+    output.push(`### ✏️ Changed (${diff.changed.length})`);
+    pushLimited(output, diff.changed, entry => {
+      const lines = [`- **${entry.name}** \`${entry.nplId}\``];
+      for (const [field, { from, to }] of Object.entries(entry.changes)) {
+        lines.push(`  - ${field}: ${formatValue(field, from)} → ${formatValue(field, to)}`);
+      }
+      return lines.join('\n');
+    });
+  }
+
+  if (summary.added + summary.removed + summary.changed === 0) {
+    output.push('No changes.\n');
+  }
+
+  return output.join('\n');
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffDatabases,
+  formatChangelog
+};
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  if (files.length !== 2) {
+    console.log('Usage: node database-diff.js <previous> <next> [--json]');
+    process.exit(1);
+  }
+
+  try {
+    const diff = diffDatabases(readDatabaseFile(files[0]), readDatabaseFile(files[1]));
+    console.log(args.includes('--json') ? JSON.stringify(diff, null, 2) : formatChangelog(diff));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Database Integrity
+ * Checks that medications.json and substances.json agree and that product
+ * fields are well-formed, reporting each problem with a count and examples.
+ *
+ * Usage:
+ *   node database-integrity.js [data dir]          # Markdown report
+ *   node database-integrity.js [data dir] --json   # Machine-readable report
+ *
+ * Exits with 1 when a check at error level fails; warnings (substance
+ * names spelled several ways, products without substances) do not fail.
+ * Runs as part of npm test against data/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  readDatabaseJson,
+  detectSchemaVersion,
+  migrateDatabase,
+  findDatabaseFile,
+  NPL_ID_PATTERN,
+  ATC_PATTERN
+} = require('./database');
+
+const EXAMPLE_LIMIT = 5;
+
+// Check name -> [severity, description], in report order
+const CHECKS = {
+  countMismatch: ['error', 'Declared count differs from the number of products'],
+  duplicateNplIds: ['error', 'nplIds used by more than one product'],
+  malformedNplIds: ['error', 'nplIds that are not strings of 14 digits'],
+  missingNames: ['error', 'Products without a name'],
+  nameNormalized: ['error', 'nameNormalized differs from the lowercase name'],
+  malformedAtcCodes: ['error', 'ATC codes that are not well-formed'],
+  danglingReferences: ['error', 'nplIds in substances.json without a product'],
+  unindexedSubstances: ['error', 'Product substances missing from substances.json'],
+  missingSubstances: ['warning', 'Products without active substances'],
+  missingAtcCodes: ['warning', 'Products without an ATC code'],
+  substanceVariants: ['warning', 'Substance names written in more than one way']
+};
+
+function describeProduct(med) {
+  return `${med.name || '(no name)'} \`${med.nplId}\``;
+}
+
+/**
+ * Check a database and its substance index (null to skip the index
+ * checks). Returns { products, substances, issues, valid }; each issue is
+ * { check, severity, description, count, examples }.
+ */
+function checkDatabaseIntegrity(database, substances = null) {
+  const medications = database.medications;
+  const found = Object.fromEntries(Object.keys(CHECKS).map(check => [check, []]));
+
+  if (typeof database.count === 'number' && database.count !== medications.length) {
+    found.countMismatch.push(`count ${database.count}, ${medications.length} products`);
+  }
+
+  const byNplId = new Map();
+  const spellings = new Map();
+  for (const med of medications) {
+    const nplId = String(med.nplId);
+    if (!byNplId.has(nplId)) byNplId.set(nplId, []);
+    byNplId.get(nplId).push(med);
+
+    if (typeof med.nplId !== 'string' || !NPL_ID_PATTERN.test(med.nplId)) found.malformedNplIds.push(describeProduct(med));
+    if (!med.name) found.missingNames.push(describeProduct(med));
+    if (med.name && med.nameNormalized !== med.name.toLowerCase()) {
+      found.nameNormalized.push(`${describeProduct(med)}: "${med.nameNormalized}"`);
+    }
+    if (!med.atcCode) {
+      found.missingAtcCodes.push(describeProduct(med));
+    } else if (!ATC_PATTERN.test(med.atcCode)) {
+      found.malformedAtcCodes.push(`${describeProduct(med)}: "${med.atcCode}"`);
+    }
+
+    const activeSubstances = med.activeSubstances || [];
+    if (activeSubstances.length === 0) found.missingSubstances.push(describeProduct(med));
+    for (const sub of activeSubstances) {
+      const key = sub.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (!spellings.has(key)) spellings.set(key, new Map());
+      const counts = spellings.get(key);
+      counts.set(sub, (counts.get(sub) || 0) + 1);
+
+      if (substances && !(substances[sub.toLowerCase()] || []).includes(nplId)) {
+        found.unindexedSubstances.push(`${describeProduct(med)}: "${sub}"`);
+      }
+    }
+  }
+
+  for (const [nplId, products] of byNplId) {
+    if (products.length > 1) found.duplicateNplIds.push(`\`${nplId}\`: ${products.map(med => med.name).join(', ')}`);
+  }
+  for (const counts of spellings.values()) {
+    if (counts.size > 1) {
+      found.substanceVariants.push([...counts].map(([sub, count]) => `"${sub}" (${count})`).join(' vs '));
+    }
+  }
+  if (substances) {
+    for (const [sub, nplIds] of Object.entries(substances)) {
+      for (const nplId of nplIds) {
+        if (!byNplId.has(nplId)) found.danglingReferences.push(`${sub}: \`${nplId}\``);
+      }
+    }
+  }
+
+  const issues = Object.entries(found)
+    .filter(([check, entries]) => entries.length > 0)
+    .map(([check, entries]) => ({
+      check,
+      severity: CHECKS[check][0],
+      description: CHECKS[check][1],
+      count: entries.length,
+      examples: entries.slice(0, EXAMPLE_LIMIT)
+    }));
+
+  return {
+    products: medications.length,
+    substances: substances ? Object.keys(substances).length : null,
+    issues,
+    valid: !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Read and check medications.json (or .gz) and substances.json in a
+ * data directory
+ */
+function checkDataDirectory(dataDir) {
+  const databaseFile = findDatabaseFile(dataDir);
+  if (!databaseFile) throw new Error(`No medications database in ${dataDir}`);
+  const substancesFile = path.join(dataDir, 'substances.json');
+  const substances = fs.existsSync(substancesFile)
+    ? JSON.parse(fs.readFileSync(substancesFile, 'utf8'))
+    : null;
+  // Migration recounts the products, uppercases ATC codes and turns nplIds
+  // into strings, so those are checked as written in the file
+  const data = readDatabaseJson(databaseFile);
+  const compact = detectSchemaVersion(data) === 1;
+  const records = Array.isArray(data) ? data : data.medications;
+  const raw = records.map(record => (compact
+    ? { nplId: record.id, atcCode: record.a }
+    : { nplId: record.nplId, atcCode: record.atcCode }));
+  const count = Array.isArray(data) ? undefined : data.count;
+  const migrated = migrateDatabase(data);
+  const medications = migrated.medications.map((med, i) => ({ ...med, ...raw[i] }));
+  const database = { ...migrated, count, medications };
+  return { file: databaseFile, ...checkDatabaseIntegrity(database, substances) };
+}
+
+/**
+ * Markdown report of a check
+ */
+function formatIntegrityReport(report) {
+  const output = [];
+  output.push('## 🩺 Medications Database Integrity\n');
+  if (report.file) output.push(`**Database:** ${path.basename(report.file)}`);
+  output.push(`**Products:** ${report.products} · **Indexed substances:** ${report.substances === null ? 'no substances.json' : report.substances}\n`);
+
+  for (const issue of report.issues) {
+    const icon = issue.severity === 'error' ? '❌' : '⚠️';
+    output.push(`### ${icon} ${issue.description} (${issue.count})`);
+    issue.examples.forEach(example => output.push(`- ${example}`));
+    if (issue.count > issue.examples.length) {
+      output.push(`- *…and ${issue.count - issue.examples.length} more*`);
+    }
+    output.push('');
+  }
+
+  const errors = report.issues.filter(issue => issue.severity === 'error').length;
+  const warnings = report.issues.length - errors;
+  output.push(report.valid
+    ? `✅ ${Object.keys(CHECKS).length} checks passed${warnings > 0 ? ` (${warnings} with warnings)` : ''}.`
+    : `❌ ${errors} of ${Object.keys(CHECKS).length} checks failed.`);
+  return output.join('\n');
+}
+
+module.exports = {
+  CHECKS,
+  checkDatabaseIntegrity,
+  checkDataDirectory,
+  formatIntegrityReport
+};
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dirs = args.filter(arg => !arg.startsWith('--'));
+
+  if (dirs.length > 1) {
+    console.log('Usage: node database-integrity.js [data dir] [--json]');
+    process.exit(1);
+  }
+
+  try {
+    const report = checkDataDirectory(dirs[0] || path.join(__dirname, '..', 'data'));
+    console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatIntegrityReport(report));
+    process.exit(report.valid ? 0 : 1);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
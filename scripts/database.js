@@ -0,0 +1,202 @@
+/**
+ * Medications Database Schema
+ * The on-disk format shared by build-database.js (writer) and
+ * fass_lookup.js (reader).
+ *
+ * Current schema (version 3):
+ *   {
+ *     schemaVersion: 3,
+ *     updated: ISO timestamp of the build, or null if unknown,
+ *     count: number of medications,
+ *     medications: [{
+ *       nplId, name, nameNormalized, activeSubstances[], prescriptionRequired,
+ *       summary, strength, parsedStrength, form, atcCode, manufacturer,
+ *       narcoticsClass?
+ *     }]
+ *   }
+ *
+ * parsedStrength is the strength text parsed by strength.js:
+ * [{ substance, value, unit, per: { value, unit } | null }], or null.
+ *
+ * Older versions are migrated on load:
+ *   0 - bare array of medication records (no envelope, no build date)
+ *   1 - compact builder output: {version: '1.0.0', updated, count,
+ *       medications: [{id, n, s, a, f, st, rx, m}]}
+ *   2 - version 3 without parsedStrength
+ *
+ * The database may be stored as plain JSON or gzip (medications.json.gz).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseProductStrength } = require('./strength');
+
+const SCHEMA_VERSION = 3;
+const DATABASE_FILES = ['medications.json', 'medications.json.gz'];
+
+// Well-formed nplIds and ATC codes (or ATC prefixes: N, N06, N06A, N06AB)
+const NPL_ID_PATTERN = /^\d{14}$/;
+const ATC_PATTERN = /^[A-Z](\d{2}([A-Z]([A-Z](\d{2})?)?)?)?$/;
+
+/**
+ * Build the summary line used in search results
+ * e.g. "Alvedon 500 mg (Tablett) Aktiv substans: Paracetamol. ATC: N02BE01."
+ */
+function buildSummary(med) {
+  let summary = med.name;
+  if (med.strength) summary += ` ${med.strength}`;
+  if (med.form) summary += ` (${med.form})`;
+  if (med.activeSubstances.length > 0) summary += ` Aktiv substans: ${med.activeSubstances.join(', ')}.`;
+  if (med.atcCode) summary += ` ATC: ${med.atcCode}.`;
+  return summary;
+}
+
+/**
+ * Create a schema-conforming medication record, filling in derived fields
+ */
+function createMedicationRecord(fields) {
+  const substances = Array.isArray(fields.activeSubstances)
+    ? fields.activeSubstances
+    : String(fields.activeSubstances || '').split(',');
+
+  const med = {
+    nplId: String(fields.nplId || ''),
+    name: fields.name || '',
+    nameNormalized: fields.nameNormalized || (fields.name || '').toLowerCase(),
+    activeSubstances: substances.map(sub => sub.trim()).filter(Boolean),
+    prescriptionRequired: fields.prescriptionRequired !== false,
+    summary: '',
+    strength: fields.strength || '',
+    parsedStrength: null,
+    form: fields.form || '',
+    atcCode: (fields.atcCode || '').toUpperCase(),
+    manufacturer: fields.manufacturer || ''
+  };
+  med.summary = fields.summary || buildSummary(med);
+  med.parsedStrength = fields.parsedStrength !== undefined
+    ? fields.parsedStrength
+    : parseProductStrength(med.strength, med.activeSubstances);
+  if (fields.narcoticsClass) med.narcoticsClass = fields.narcoticsClass;
+
+  return med;
+}
+
+/**
+ * Wrap medication records in the current database envelope
+ */
+function createDatabase(medications, updated = new Date().toISOString()) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    updated,
+    count: medications.length,
+    medications
+  };
+}
+
+/**
+ * Substance index: lowercase substance -> [nplIds]
+ */
+function buildSubstanceIndex(medications) {
+  const index = {};
+  for (const med of medications) {
+    for (const sub of med.activeSubstances || []) {
+      const key = sub.toLowerCase();
+      if (!index[key]) index[key] = [];
+      if (!index[key].includes(med.nplId)) index[key].push(med.nplId);
+    }
+  }
+  return index;
+}
+
+/**
+ * Detect the schema version of parsed database JSON
+ */
+function detectSchemaVersion(data) {
+  if (Array.isArray(data)) return 0;
+  if (data && typeof data.schemaVersion === 'number') return data.schemaVersion;
+  if (data && Array.isArray(data.medications) && data.version === '1.0.0') return 1;
+  throw new Error('Unrecognized medications database format');
+}
+
+/**
+ * Migrate parsed database JSON of any known version to the current schema
+ */
+function migrateDatabase(data) {
+  const version = detectSchemaVersion(data);
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported database schema version ${version} (this version reads up to ${SCHEMA_VERSION})`);
+  }
+
+  if (version === 0) {
+    return createDatabase(data.map(createMedicationRecord), null);
+  }
+
+  if (version === 1) {
+    const medications = data.medications.map(med => createMedicationRecord({
+      nplId: med.id,
+      name: med.n,
+      activeSubstances: med.s,
+      atcCode: med.a,
+      form: med.f,
+      strength: med.st,
+      prescriptionRequired: med.rx,
+      manufacturer: med.m
+    }));
+    return createDatabase(medications, data.updated || null);
+  }
+
+  if (version === 2) {
+    for (const med of data.medications) {
+      med.parsedStrength = parseProductStrength(med.strength, med.activeSubstances);
+    }
+    return createDatabase(data.medications, data.updated);
+  }
+
+  return data;
+}
+
+/**
+ * Parse a database file (.json or .json.gz) as written, without migrating it
+ */
+function readDatabaseJson(filePath) {
+  let buffer = fs.readFileSync(filePath);
+  // gzip magic bytes
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+  return JSON.parse(buffer.toString('utf8'));
+}
+
+/**
+ * Read a database file (.json or .json.gz) and migrate it to the current schema
+ */
+function readDatabaseFile(filePath) {
+  return migrateDatabase(readDatabaseJson(filePath));
+}
+
+/**
+ * Find the database file in a data directory, preferring plain JSON
+ */
+function findDatabaseFile(dataDir) {
+  for (const file of DATABASE_FILES) {
+    const filePath = path.join(dataDir, file);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  NPL_ID_PATTERN,
+  ATC_PATTERN,
+  createMedicationRecord,
+  createDatabase,
+  buildSubstanceIndex,
+  detectSchemaVersion,
+  migrateDatabase,
+  readDatabaseJson,
+  readDatabaseFile,
+  findDatabaseFile
+};
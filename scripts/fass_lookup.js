@@ -11,256 +11,99 @@
 
 const fs = require('fs');
 const path = require('path');
+const { normalizeForMatch, editDistance, typoThreshold, suggestionThreshold } = require('./fuzzy');
+const { createSearchIndex } = require('./search-index');
+const { readDatabaseFile, findDatabaseFile, buildSubstanceIndex, NPL_ID_PATTERN, ATC_PATTERN } = require('./database');
+const { strengthKey, toMilligrams } = require('./strength');
+const { parseQuery, parseRegimen, parseWeight, parseAge, normalizeForm, formMatches } = require('./query-parser');
+const { normalizeLang, label, localized, formName } = require('./i18n');
+const { loadCuratedMedications, validateCuratedFile, formatCuratedValidation, CURATED_FILE } = require('./curated');
 
 // Load full medications database
 const DATA_DIR = path.join(__dirname, '..', 'data');
 let FULL_DATABASE = [];
+let DATABASE_INFO = { schemaVersion: null, updated: null, file: null };
 let SUBSTANCES_INDEX = {};
+let INTERACTIONS = { interactions: [], index: {}, severityLegend: {} };
+let ATC_NAMES = {};
+let INDICATIONS = {};
 
 try {
-  const medsPath = path.join(DATA_DIR, 'medications.json');
+  const medsPath = findDatabaseFile(DATA_DIR);
   const subsPath = path.join(DATA_DIR, 'substances.json');
+  const interactionsPath = path.join(DATA_DIR, 'interactions.json');
+  const atcPath = path.join(DATA_DIR, 'atc-codes.json');
+  const indicationsPath = path.join(DATA_DIR, 'indications.json');
   
-  if (fs.existsSync(medsPath)) {
-    FULL_DATABASE = JSON.parse(fs.readFileSync(medsPath, 'utf8'));
+  if (medsPath) {
+    const db = readDatabaseFile(medsPath);
+    FULL_DATABASE = db.medications;
+    DATABASE_INFO = { schemaVersion: db.schemaVersion, updated: db.updated, file: path.basename(medsPath) };
   }
   if (fs.existsSync(subsPath)) {
     SUBSTANCES_INDEX = JSON.parse(fs.readFileSync(subsPath, 'utf8'));
+  } else {
+    SUBSTANCES_INDEX = buildSubstanceIndex(FULL_DATABASE);
+  }
+  if (fs.existsSync(interactionsPath)) {
+    INTERACTIONS = JSON.parse(fs.readFileSync(interactionsPath, 'utf8'));
+  }
+  if (fs.existsSync(atcPath)) {
+    ATC_NAMES = JSON.parse(fs.readFileSync(atcPath, 'utf8'));
+  }
+  if (fs.existsSync(indicationsPath)) {
+    INDICATIONS = JSON.parse(fs.readFileSync(indicationsPath, 'utf8'));
   }
 } catch (e) {
   // Database not available, will use curated list only
 }
 
-// Curated medications with extra info (use, warnings, dosage)
-const CURATED_MEDICATIONS = {
-  // === PAIN & FEVER ===
-  paracetamol: {
-    brands: ['Alvedon', 'Panodil', 'Pamol'],
-    use: 'Pain relief, fever reduction',
-    dose: 'Adult: 500-1000mg every 4-6h, max 4g/day',
-    otc: true,
-    warnings: 'Avoid with liver disease, limit alcohol',
-    atc: 'N02BE01'
-  },
-  ibuprofen: {
-    brands: ['Ipren', 'Ibumetin', 'Brufen'],
-    use: 'Pain, inflammation, fever',
-    dose: 'Adult: 200-400mg every 4-6h, max 1200mg/day (OTC)',
-    otc: true,
-    warnings: 'Take with food, avoid if stomach ulcers or kidney issues',
-    atc: 'M01AE01'
-  },
-  diklofenak: {
-    brands: ['Voltaren', 'Diklofenak'],
-    use: 'Pain, inflammation, arthritis',
-    dose: 'Adult: 50mg 2-3x/day or gel topically',
-    otc: 'Gel OTC, tablets Rx',
-    warnings: 'Cardiovascular risk with long-term use',
-    atc: 'M01AB05'
-  },
-  naproxen: {
-    brands: ['Naproxen', 'Pronaxen'],
-    use: 'Pain, inflammation, menstrual cramps',
-    dose: 'Adult: 250-500mg twice daily',
-    otc: 'Low dose OTC, higher doses Rx',
-    warnings: 'Take with food, avoid long-term use',
-    atc: 'M01AE02'
-  },
-
-  // === ALLERGIES ===
-  loratadin: {
-    brands: ['Clarityn', 'Loratadin'],
-    use: 'Allergies, hay fever, hives',
-    dose: 'Adult: 10mg once daily',
-    otc: true,
-    warnings: 'Non-drowsy antihistamine',
-    atc: 'R06AX13'
-  },
-  cetirizin: {
-    brands: ['Zyrtec', 'Cetirizin'],
-    use: 'Allergies, hay fever, hives',
-    dose: 'Adult: 10mg once daily',
-    otc: true,
-    warnings: 'May cause slight drowsiness',
-    atc: 'R06AE07'
-  },
-  desloratadin: {
-    brands: ['Aerius', 'Desloratadin'],
-    use: 'Allergies, hay fever, hives',
-    dose: 'Adult: 5mg once daily',
-    otc: true,
-    warnings: 'Non-drowsy, active metabolite of loratadin',
-    atc: 'R06AX27'
-  },
-
-  // === STOMACH & DIGESTION ===
-  omeprazol: {
-    brands: ['Losec', 'Omeprazol'],
-    use: 'Acid reflux, stomach ulcers, GERD',
-    dose: 'Adult: 20mg once daily',
-    otc: 'Low dose OTC, higher doses Rx',
-    warnings: 'Long-term use may affect B12/magnesium',
-    atc: 'A02BC01'
-  },
-  loperamid: {
-    brands: ['Imodium', 'Loperamid'],
-    use: 'Acute diarrhea',
-    dose: 'Adult: 4mg initially, then 2mg after each loose stool, max 16mg/day',
-    otc: true,
-    warnings: 'Do not use if fever or bloody stools',
-    atc: 'A07DA03'
-  },
-
-  // === MENTAL HEALTH ===
-  sertralin: {
-    brands: ['Zoloft', 'Sertralin'],
-    use: 'Depression, anxiety, OCD, PTSD',
-    dose: 'Adult: Start 50mg/day, may increase',
-    otc: false,
-    warnings: 'Takes 2-4 weeks for effect, do not stop abruptly',
-    atc: 'N06AB06'
-  },
-  escitalopram: {
-    brands: ['Cipralex', 'Escitalopram'],
-    use: 'Depression, anxiety disorders',
-    dose: 'Adult: 10-20mg once daily',
-    otc: false,
-    warnings: 'Takes 2-4 weeks for effect, do not stop abruptly',
-    atc: 'N06AB10'
-  },
-  mirtazapin: {
-    brands: ['Remeron', 'Mirtazapin'],
-    use: 'Depression, anxiety, insomnia',
-    dose: 'Adult: 15-45mg at bedtime',
-    otc: false,
-    warnings: 'May cause weight gain and drowsiness',
-    atc: 'N06AX11'
-  },
-  venlafaxin: {
-    brands: ['Efexor', 'Venlafaxin'],
-    use: 'Depression, anxiety disorders',
-    dose: 'Adult: 75-225mg once daily',
-    otc: false,
-    warnings: 'SNRI, do not stop abruptly, may raise blood pressure',
-    atc: 'N06AX16'
-  },
-
-  // === ADHD ===
-  metylfenidat: {
-    brands: ['Concerta', 'Ritalin', 'Medikinet'],
-    use: 'ADHD',
-    dose: 'Adult: 18-72mg once daily (extended-release)',
-    otc: false,
-    warnings: 'Controlled substance, monitor heart rate and blood pressure',
-    atc: 'N06BA04'
-  },
-  lisdexamfetamin: {
-    brands: ['Elvanse'],
-    use: 'ADHD',
-    dose: 'Adult: 30-70mg once daily in morning',
-    otc: false,
-    warnings: 'Controlled substance, prodrug converted to dexamphetamine',
-    atc: 'N06BA12'
-  },
-  atomoxetin: {
-    brands: ['Strattera', 'Atomoxetin'],
-    use: 'ADHD (non-stimulant)',
-    dose: 'Adult: 40-100mg once daily',
-    otc: false,
-    warnings: 'Takes 4-6 weeks for full effect, not a controlled substance',
-    atc: 'N06BA09'
-  },
-
-  // === HEART & BLOOD PRESSURE ===
-  metoprolol: {
-    brands: ['Seloken', 'Metoprolol'],
-    use: 'High blood pressure, heart conditions, anxiety symptoms',
-    dose: 'Adult: 50-200mg once daily',
-    otc: false,
-    warnings: 'Beta-blocker, do not stop abruptly',
-    atc: 'C07AB02'
-  },
-  atorvastatin: {
-    brands: ['Lipitor', 'Atorvastatin'],
-    use: 'High cholesterol, cardiovascular prevention',
-    dose: 'Adult: 10-80mg once daily',
-    otc: false,
-    warnings: 'Statin, avoid grapefruit, report muscle pain',
-    atc: 'C10AA05'
-  },
-  warfarin: {
-    brands: ['Waran', 'Warfarin'],
-    use: 'Blood clot prevention',
-    dose: 'Individualized based on INR monitoring',
-    otc: false,
-    warnings: 'Requires regular blood tests, many drug/food interactions',
-    atc: 'B01AA03'
-  },
-
-  // === DIABETES ===
-  metformin: {
-    brands: ['Metformin', 'Glucophage'],
-    use: 'Type 2 diabetes',
-    dose: 'Adult: Start 500mg 1-2x/day with food',
-    otc: false,
-    warnings: 'Monitor kidney function, stop before contrast imaging',
-    atc: 'A10BA02'
-  },
-
-  // === ASTHMA ===
-  salbutamol: {
-    brands: ['Ventoline', 'Airomir', 'Buventol'],
-    use: 'Asthma relief, bronchospasm',
-    dose: 'Adult: 1-2 puffs as needed, max 8 puffs/day',
-    otc: false,
-    warnings: 'Rescue inhaler, if using frequently see doctor',
-    atc: 'R03AC02'
-  },
-
-  // === ANTIBIOTICS ===
-  amoxicillin: {
-    brands: ['Amoxicillin', 'Amimox'],
-    use: 'Bacterial infections',
-    dose: 'Adult: 500mg 3x/day or 875mg 2x/day',
-    otc: false,
-    warnings: 'Complete full course, check for penicillin allergy',
-    atc: 'J01CA04'
-  },
-
-  // === THYROID ===
-  levotyroxin: {
-    brands: ['Levaxin', 'Euthyrox'],
-    use: 'Hypothyroidism (underactive thyroid)',
-    dose: 'Adult: 25-200mcg once daily',
-    otc: false,
-    warnings: 'Take on empty stomach, 30-60min before breakfast',
-    atc: 'H03AA01'
+// Curated medications with extra info (use, warnings, dosage), edited in
+// data/curated-medications.json; Swedish texts are the same fields with an
+// Sv suffix (see i18n.js). A broken file stops everything except
+// `fass-lookup validate`, which is there to report what is wrong with it;
+// the CLI decides which command runs once it has parsed its options.
+let CURATED_LOAD_ERROR = null;
+const CURATED_MEDICATIONS = (() => {
+  try {
+    return loadCuratedMedications();
+  } catch (error) {
+    if (require.main !== module) throw error;
+    CURATED_LOAD_ERROR = error;
+    return {};
   }
-};
+})();
+
+let SEARCH_INDEX = null;
+
+/**
+ * Search index over the full database, built on first use
+ */
+function getSearchIndex() {
+  if (!SEARCH_INDEX) {
+    SEARCH_INDEX = createSearchIndex(FULL_DATABASE);
+  }
+  return SEARCH_INDEX;
+}
 
 /**
  * Search in full database
  */
-function searchFullDatabase(query) {
+function searchFullDatabase(query, limit = 10) {
   if (FULL_DATABASE.length === 0) return [];
   
   const queryLower = query.toLowerCase().trim();
-  const results = [];
+  const index = getSearchIndex();
   
-  for (const med of FULL_DATABASE) {
-    // Match by name
-    if (med.nameNormalized && med.nameNormalized.includes(queryLower)) {
-      results.push(med);
-      continue;
-    }
-    // Match by substance
-    if (med.activeSubstances) {
-      for (const sub of med.activeSubstances) {
-        if (sub.toLowerCase().includes(queryLower)) {
-          results.push(med);
-          break;
-        }
-      }
+  // Match by name or substance
+  let results = index.findSubstring(queryLower);
+  
+  // No plain match: retry with diacritics folded and Swedish spelling
+  // ("lakemedel", "sertraline", "diclofenac")
+  if (results.length === 0) {
+    const normalizedQuery = normalizeForMatch(query);
+    if (normalizedQuery) {
+      results = index.findNormalized(normalizedQuery);
     }
   }
   
@@ -272,7 +115,53 @@ function searchFullDatabase(query) {
     return a.name.length - b.name.length;
   });
   
-  return results.slice(0, 10); // Return top 10
+  return results.slice(0, limit);
+}
+
+/**
+ * Is the whole query a product name? Some contain numbers ("Amorest 28")
+ * that would otherwise be read as a strength
+ */
+function isProductName(query) {
+  const queryLower = query.toLowerCase().trim();
+  return getSearchIndex().findSubstring(queryLower).some(med => med.nameNormalized === queryLower);
+}
+
+/**
+ * Parse a query into name, strength and form, or return null when it has
+ * neither strength nor form and is just a name
+ */
+function parseProductQuery(query) {
+  if (FULL_DATABASE.length === 0 || isProductName(query)) return null;
+  const parsed = parseQuery(query);
+  return parsed.strength || parsed.form ? parsed : null;
+}
+
+/**
+ * Does a database product have the strength and form asked for?
+ * Strengths compare by value, so "1500mg" matches "1,5 g"
+ */
+function matchesProductQuery(med, parsed) {
+  if (parsed.strength && !(med.parsedStrength && strengthKey(med.parsedStrength) === strengthKey(parsed.strength))) {
+    return false;
+  }
+  return !parsed.form || formMatches(med.form, parsed.form);
+}
+
+/**
+ * Database products named like the query that have its strength and form.
+ * Products whose name starts with the query come before those that only
+ * contain it or match by substance ("sertralin" -> "Sertralin Accord" before "Oralin")
+ */
+function findProducts(parsed) {
+  const nameLower = parsed.name.toLowerCase();
+  const rank = med => med.nameNormalized === nameLower ? 0
+    : med.nameNormalized.startsWith(nameLower) ? 1
+    : med.nameNormalized.includes(nameLower) ? 2
+    : 3;
+  return searchFullDatabase(parsed.name, Infinity)
+    .filter(med => matchesProductQuery(med, parsed))
+    .sort((a, b) => rank(a) - rank(b));
 }
 
 /**
@@ -293,81 +182,442 @@ function findCuratedMedication(query) {
       return { name: medName, ...info };
     }
   }
+  
+  // Same name spelled the English way or without diacritics ("sertraline")
+  const normalizedQuery = normalizeForMatch(query);
+  for (const [medName, info] of Object.entries(CURATED_MEDICATIONS)) {
+    if (normalizeForMatch(medName) === normalizedQuery ||
+        info.brands.some(b => normalizeForMatch(b) === normalizedQuery)) {
+      return { name: medName, ...info };
+    }
+  }
   return null;
 }
 
+let FUZZY_CANDIDATES = null;
+
+/**
+ * Names that fuzzy matching can suggest, keyed by normalized form.
+ * Curated names are added first so they win when spellings collide.
+ */
+function getFuzzyCandidates() {
+  if (FUZZY_CANDIDATES) return FUZZY_CANDIDATES;
+
+  FUZZY_CANDIDATES = new Map();
+  const add = (name, source) => {
+    const normalized = normalizeForMatch(name);
+    if (normalized && !FUZZY_CANDIDATES.has(normalized)) {
+      FUZZY_CANDIDATES.set(normalized, { name, source });
+    }
+  };
+
+  for (const [medName, info] of Object.entries(CURATED_MEDICATIONS)) {
+    add(medName, 'curated');
+    info.brands.forEach(brand => add(brand, 'curated'));
+  }
+  Object.keys(SUBSTANCES_INDEX).forEach(sub => add(sub, 'substance'));
+  for (const med of FULL_DATABASE) {
+    add(med.name, 'database');
+    add(med.name.split(/\s+/)[0], 'database');
+  }
+  return FUZZY_CANDIDATES;
+}
+
+const SOURCE_PRIORITY = { curated: 0, substance: 1, database: 2 };
+
+/**
+ * Spelling suggestions for a query, closest first
+ */
+function suggestMedications(query, limit = 5) {
+  const normalizedQuery = normalizeForMatch(query);
+  const maxDistance = suggestionThreshold(normalizedQuery.length);
+  if (maxDistance === 0) return [];
+
+  const suggestions = [];
+  for (const [normalized, candidate] of getFuzzyCandidates()) {
+    const distance = editDistance(normalizedQuery, normalized, maxDistance);
+    if (distance <= maxDistance) {
+      suggestions.push({ ...candidate, distance });
+    }
+  }
+
+  suggestions.sort((a, b) => a.distance - b.distance ||
+    SOURCE_PRIORITY[a.source] - SOURCE_PRIORITY[b.source] ||
+    a.name.localeCompare(b.name, 'sv'));
+
+  const seen = new Set();
+  return suggestions.filter(s => {
+    const key = s.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, limit);
+}
+
+/**
+ * findMedication result for a database product
+ */
+function toMedicationResult(med) {
+  return {
+    name: med.name,
+    brands: [med.name],
+    use: med.summary || `${med.form || ''} ${med.strength || ''}`.trim(),
+    dose: med.strength || '',
+    otc: !med.prescriptionRequired,
+    warnings: med.prescriptionRequired ? 'Prescription required (receptbelagt)' : 'OTC (receptfritt)',
+    atc: med.atcCode || '',
+    substances: med.activeSubstances || [],
+    manufacturer: med.manufacturer || '',
+    form: med.form || '',
+    nplId: med.nplId,
+    parsedStrength: med.parsedStrength || null,
+    fromDatabase: true
+  };
+}
+
+/**
+ * Database product by nplId, shaped like a findMedication result, or null
+ */
+function findByNplId(nplId) {
+  if (FULL_DATABASE.length === 0) return null;
+  const med = getSearchIndex().getByNplId(String(nplId).trim());
+  return med ? toMedicationResult(med) : null;
+}
+
 /**
- * Combined search - curated first, then full database
+ * Combined search - curated first, then full database.
+ * A query with strength or form ("alvedon 500mg", "Ipren 400 mg tablett")
+ * picks that product from the full database; if no product has them, the
+ * name alone is looked up and `unmatched` holds the part not found.
  */
 function findMedication(query) {
-  // Try curated first (has extra info)
+  const parsed = parseProductQuery(query);
+  if (parsed) {
+    const [product] = findProducts(parsed);
+    if (product) return toMedicationResult(product);
+    const byName = findMedication(parsed.name);
+    const unmatched = [parsed.strengthText, parsed.form].filter(Boolean).join(' ');
+    return byName && { ...byName, unmatched };
+  }
+  
+  // Try curated first (has extra info), with its products from the full database
   const curated = findCuratedMedication(query);
-  if (curated) return curated;
+  if (curated) return withProducts(curated);
   
   // Fall back to full database
   const dbResults = searchFullDatabase(query);
   if (dbResults.length > 0) {
-    const med = dbResults[0];
-    return {
-      name: med.name,
-      brands: [med.name],
-      use: med.summary || `${med.form || ''} ${med.strength || ''}`.trim(),
-      dose: med.strength || '',
-      otc: !med.prescriptionRequired,
-      warnings: med.prescriptionRequired ? 'Prescription required (receptbelagt)' : 'OTC (receptfritt)',
-      atc: med.atcCode || '',
-      substances: med.activeSubstances || [],
-      manufacturer: med.manufacturer || '',
-      form: med.form || '',
-      fromDatabase: true
-    };
+    return toMedicationResult(dbResults[0]);
+  }
+  
+  // Last resort: a close spelling ("paracetamoll", "alvedom")
+  const [suggestion] = suggestMedications(query, 1);
+  if (suggestion && suggestion.distance <= typoThreshold(normalizeForMatch(query).length)) {
+    const corrected = findMedication(suggestion.name);
+    if (corrected) return { ...corrected, correctedFrom: query.trim() };
   }
   
   return null;
 }
 
+const DEFAULT_SEARCH_LIMIT = 10;
+const SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Does a search result pass the searchMedications filters? Curated
+ * entries have no form or manufacturer, so those filters leave only products
+ */
+function matchesSearchFilters(result, filters) {
+  if (filters.otcOnly && result.otc !== true) return false;
+  if (filters.rxOnly && result.otc !== false) return false;
+  if (filters.atcPrefix && !result.atc.startsWith(filters.atcPrefix)) return false;
+  if (filters.form && !formMatches(result.form, filters.form)) return false;
+  if (filters.manufacturer && !String(result.manufacturer || '').toLowerCase().includes(filters.manufacturer)) {
+    return false;
+  }
+  return true;
+}
+
+function addUnique(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+/**
+ * Collapse database search results sharing a product name into families
+ * with the strengths, forms and nplIds available. `otc` is true or false
+ * when all variants agree, else 'mixed'.
+ */
+function groupFamilies(products) {
+  const families = new Map();
+  for (const product of products) {
+    const key = product.name.toLowerCase();
+    if (!families.has(key)) {
+      families.set(key, {
+        name: product.name,
+        family: true,
+        atc: product.atc,
+        atcCodes: [],
+        substances: product.substances,
+        strengths: [],
+        forms: [],
+        nplIds: [],
+        variants: [],
+        fromDatabase: true
+      });
+    }
+    const family = families.get(key);
+    addUnique(family.atcCodes, product.atc);
+    addUnique(family.strengths, product.dose);
+    addUnique(family.forms, product.form);
+    family.nplIds.push(product.nplId);
+    family.variants.push({
+      nplId: product.nplId,
+      strength: product.dose,
+      form: product.form,
+      otc: product.otc,
+      manufacturer: product.manufacturer
+    });
+  }
+
+  const numeric = (a, b) => a.localeCompare(b, 'sv', { numeric: true });
+  return [...families.values()].map(family => {
+    const otcCount = family.variants.filter(variant => variant.otc).length;
+    family.otc = otcCount === family.variants.length ? true : otcCount === 0 ? false : 'mixed';
+    family.strengths.sort(numeric);
+    family.forms.sort(numeric);
+    return family;
+  });
+}
+
+/**
+ * Single-substance products of a substance, as findMedication results.
+ * Combination products (paracetamol/kodein) are left out, like in
+ * getSubstanceAtcCodes.
+ */
+function getSubstanceProducts(substance) {
+  if (FULL_DATABASE.length === 0) return [];
+  const index = getSearchIndex();
+  return (SUBSTANCES_INDEX[substance.toLowerCase()] || [])
+    .map(nplId => index.getByNplId(nplId))
+    .filter(med => med && med.activeSubstances.length === 1)
+    .map(toMedicationResult)
+    .sort((a, b) => a.name.localeCompare(b.name, 'sv', { numeric: true }));
+}
+
+/**
+ * Curated entry with the Swedish products of its substance:
+ * products = { total, otc, rx, manufacturers, families }, manufacturers
+ * with the most products first. Unchanged when there are none.
+ */
+function withProducts(curated) {
+  const products = getSubstanceProducts(curated.name);
+  if (products.length === 0) return curated;
+
+  const manufacturerCounts = new Map();
+  for (const med of products) {
+    if (med.manufacturer) manufacturerCounts.set(med.manufacturer, (manufacturerCounts.get(med.manufacturer) || 0) + 1);
+  }
+  const otc = products.filter(med => med.otc).length;
+  return {
+    ...curated,
+    products: {
+      total: products.length,
+      otc,
+      rx: products.length - otc,
+      manufacturers: [...manufacturerCounts.keys()].sort((a, b) =>
+        manufacturerCounts.get(b) - manufacturerCounts.get(a) || a.localeCompare(b, 'sv')),
+      families: groupFamilies(products)
+    }
+  };
+}
+
 /**
- * Search and return multiple results
+ * Search curated and database medications and return one page of results:
+ * { total, results }. Options:
+ *   limit, offset       page size (default 10) and start
+ *   otcOnly, rxOnly     prescription status
+ *   form                dosage form words ("tablett", "gel"), see query-parser.js
+ *   manufacturer        part of the manufacturer name, any case
+ *   atcPrefix           ATC code or group ("M01AE")
+ *   families            one result per product name, see groupFamilies
+ * A number is taken as the limit.
  */
-function searchMedications(query, limit = 10) {
+function searchMedications(query, options = {}) {
+  if (typeof options === 'number') options = { limit: options };
+  const { limit = DEFAULT_SEARCH_LIMIT, offset = 0 } = options;
+  const filters = {
+    otcOnly: Boolean(options.otcOnly),
+    rxOnly: Boolean(options.rxOnly),
+    atcPrefix: options.atcPrefix ? normalizeAtc(options.atcPrefix) : null,
+    form: options.form ? normalizeForm(options.form) : null,
+    manufacturer: options.manufacturer ? options.manufacturer.toLowerCase().trim() : null
+  };
   const results = [];
   
-  // Search curated
+  // With strength or form in the query, only products that have them ("ipren 400 mg")
+  const parsed = parseProductQuery(query);
+  
+  // Search curated (no strengths or forms)
   const queryLower = query.toLowerCase().trim();
-  for (const [medName, info] of Object.entries(CURATED_MEDICATIONS)) {
+  const curatedEntries = parsed ? [] : Object.entries(CURATED_MEDICATIONS);
+  for (const [medName, info] of curatedEntries) {
     if (medName.includes(queryLower) || 
         info.brands.some(b => b.toLowerCase().includes(queryLower))) {
-      results.push({ name: medName, ...info, curated: true });
+      const result = { name: medName, ...info, curated: true };
+      if (matchesSearchFilters(result, filters)) results.push(result);
     }
   }
   
-  // Search full database
-  const dbResults = searchFullDatabase(query);
-  for (const med of dbResults) {
-    // Avoid duplicates
-    if (!results.some(r => r.atc === med.atcCode && r.name.toLowerCase() === med.name.toLowerCase())) {
-      results.push({
-        name: med.name,
-        use: med.summary || '',
-        dose: med.strength || '',
-        otc: !med.prescriptionRequired,
-        atc: med.atcCode || '',
-        substances: med.activeSubstances || [],
-        fromDatabase: true
-      });
+  // Search full database, filtering before duplicates are dropped so an
+  // OTC variant is kept even when an Rx one of the same name comes first
+  const dbResults = parsed ? findProducts(parsed) : searchFullDatabase(query, Infinity);
+  const products = dbResults.map(med => ({
+    name: med.name,
+    nplId: med.nplId,
+    use: med.summary || '',
+    dose: med.strength || '',
+    otc: !med.prescriptionRequired,
+    atc: med.atcCode || '',
+    substances: med.activeSubstances || [],
+    parsedStrength: med.parsedStrength || null,
+    form: med.form || '',
+    manufacturer: med.manufacturer || '',
+    fromDatabase: true
+  })).filter(result => matchesSearchFilters(result, filters));
+  
+  // Avoid duplicates
+  const seen = new Set(results.map(r => `${r.atc}|${r.name.toLowerCase()}`));
+  for (const result of options.families ? groupFamilies(products) : products) {
+    const key = `${result.atc}|${result.name.toLowerCase()}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      results.push(result);
     }
   }
   
-  return results.slice(0, limit);
+  return {
+    total: results.length,
+    results: results.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Lowercase text and pad it with spaces so that phrases can be matched
+ * on word boundaries: " blood pressure " is in " high blood pressure "
+ */
+function toWordString(text) {
+  return ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+/**
+ * Does either phrase contain the other as whole words?
+ */
+function phrasesOverlap(a, b) {
+  return a.trim() !== '' && b.trim() !== '' && (a.includes(b) || b.includes(a));
+}
+
+/**
+ * Therapeutic search: "blood pressure", "blodtryck", "ADHD".
+ * Matches the curated `use` text, the indication synonym map and
+ * ATC group names, and ranks curated medications above products.
+ * Options: limit (default 20), lang for the `matchedBy` reasons; a
+ * number is taken as the limit.
+ */
+function searchByIndication(query, options = {}) {
+  if (typeof options === 'number') options = { limit: options };
+  const { limit = 20 } = options;
+  const lang = normalizeLang(options.lang);
+  const sv = lang === 'sv';
+  const queryWords = toWordString(query);
+  const prefixScores = {};
+  const matchedBy = {};
+  const terms = [queryWords];
+
+  const addPrefix = (prefix, score, reason) => {
+    if (!prefixScores[prefix] || prefixScores[prefix] < score) {
+      prefixScores[prefix] = score;
+      matchedBy[prefix] = reason;
+    }
+  };
+
+  for (const indication of Object.values(INDICATIONS)) {
+    const term = indication.terms.find(t => phrasesOverlap(queryWords, toWordString(t)));
+    if (term) {
+      terms.push(...indication.terms.map(toWordString));
+      for (const prefix of indication.atc) {
+        addPrefix(prefix, 50 + prefix.length, `${sv ? indication.sv : indication.en} (${term})`);
+      }
+    }
+  }
+
+  for (const [code, name] of Object.entries(ATC_NAMES)) {
+    const names = [toWordString(name.en), toWordString(name.sv)];
+    const reason = `ATC ${code} ${sv ? name.sv : name.en}`;
+    if (names.includes(queryWords)) {
+      addPrefix(code, 45, reason);
+    } else if (names.some(n => phrasesOverlap(n, queryWords))) {
+      addPrefix(code, 40, reason);
+    }
+  }
+
+  const results = [];
+  for (const [medName, info] of Object.entries(CURATED_MEDICATIONS)) {
+    const useWords = toWordString(`${info.use} ${info.useSv || ''}`);
+    if (terms.some(term => useWords.includes(term))) {
+      const useReason = label(lang, 'matchedUse', { use: localized(info, 'use', lang) });
+      results.push({ name: medName, ...info, curated: true, score: 100, matchedBy: useReason });
+    }
+  }
+
+  const prefixes = Object.keys(prefixScores);
+  const seen = new Set(results.map(r => r.name.toLowerCase()));
+  const products = [];
+  const substanceCounts = {};
+  for (const med of prefixes.length > 0 ? getSearchIndex().findByAtcPrefixes(prefixes) : []) {
+    if (seen.has(med.nameNormalized)) continue;
+    const best = prefixes
+      .filter(prefix => med.atcCode.startsWith(prefix))
+      .sort((a, b) => prefixScores[b] - prefixScores[a])[0];
+    if (!best) continue;
+
+    seen.add(med.nameNormalized);
+    const substances = med.activeSubstances || [];
+    const substanceKey = substances.join('/').toLowerCase();
+    substanceCounts[substanceKey] = (substanceCounts[substanceKey] || 0) + 1;
+    products.push({
+      name: med.name,
+      use: med.summary || '',
+      dose: med.strength || '',
+      otc: !med.prescriptionRequired,
+      atc: med.atcCode,
+      substances,
+      parsedStrength: med.parsedStrength || null,
+      fromDatabase: true,
+      score: prefixScores[best],
+      matchedBy: matchedBy[best],
+      // Nth product seen for this substance, used to spread results across substances
+      substanceRank: substanceCounts[substanceKey],
+      // Substances we carry curated info for are the commonly used ones
+      common: substances.some(sub => CURATED_MEDICATIONS[sub.toLowerCase()])
+    });
+  }
+
+  products.sort((a, b) => b.score - a.score ||
+    a.substanceRank - b.substanceRank ||
+    Number(b.common) - Number(a.common) ||
+    a.name.localeCompare(b.name, 'sv'));
+
+  return [...results, ...products.map(({ substanceRank, common, ...med }) => med)].slice(0, limit);
 }
 
 /**
- * Format medication info for display
+ * Format medication info for display. Options: lang ('en' or 'sv')
  */
-function formatMedication(med) {
-  const otcStatus = med.otc === true ? 'Yes (receptfritt)' 
-    : med.otc === false ? 'No (receptbelagt)' 
-    : med.otc;
+function formatMedication(med, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const otcStatus = med.otc === true ? label(lang, 'otcYes')
+    : med.otc === false ? label(lang, 'otcNo')
+    : localized(med, 'otc', lang);
   
   let output = `### ${med.name.charAt(0).toUpperCase() + med.name.slice(1)}`;
   
@@ -378,49 +628,78 @@ function formatMedication(med) {
   output += '\n\n';
   
   if (med.substances && med.substances.length > 0) {
-    output += `**Active substances:** ${med.substances.join(', ')}\n`;
+    output += `**${label(lang, 'activeSubstances')}:** ${med.substances.join(', ')}\n`;
   }
   
-  output += `**Use:** ${med.use}\n`;
-  
-  if (med.dose) {
-    output += `**Dosage:** ${med.dose}\n`;
+  // Products have a form and strength where curated entries have use and dosage
+  if (med.fromDatabase) {
+    if (med.form) output += `**${label(lang, 'form')}:** ${formName(med.form, lang)}\n`;
+    if (med.dose) output += `**${label(lang, 'strength')}:** ${med.dose}\n`;
+  } else {
+    output += `**${label(lang, 'use')}:** ${localized(med, 'use', lang)}\n`;
+    if (med.dose) output += `**${label(lang, 'dosage')}:** ${localized(med, 'dose', lang)}\n`;
   }
   
-  output += `**OTC:** ${otcStatus}\n`;
+  output += `**${label(lang, 'otc')}:** ${otcStatus}\n`;
   
   if (med.atc) {
-    output += `**ATC Code:** ${med.atc}\n`;
+    output += `**${label(lang, 'atcCode')}:** ${med.atc}\n`;
   }
   
   if (med.warnings && !med.fromDatabase) {
-    output += `**Warnings:** ${med.warnings}`;
+    output += `**${label(lang, 'warnings')}:** ${localized(med, 'warnings', lang)}`;
   }
   
   if (med.manufacturer) {
-    output += `**Manufacturer:** ${med.manufacturer}\n`;
+    output += `**${label(lang, 'manufacturer')}:** ${med.manufacturer}\n`;
   }
   
   return output;
 }
 
+function formatOtcBadge(otc, lang) {
+  return otc === 'mixed' ? `🟡 ${label(lang, 'badgeMixed')}`
+    : otc ? `🟢 ${label(lang, 'badgeOtc')}`
+    : `🔴 ${label(lang, 'badgeRx')}`;
+}
+
 /**
- * Format multiple results
+ * Format multiple results. Options: total and offset for one page of a
+ * longer list, lang ('en' or 'sv'). Numbers are taken as total and offset.
  */
-function formatSearchResults(results, query) {
+function formatSearchResults(results, query, options = {}, offset = 0) {
+  if (typeof options === 'number') options = { total: options, offset };
+  const { total = results.length } = options;
+  const first = options.offset || 0;
+  const lang = normalizeLang(options.lang);
+  if (total === 0) {
+    return label(lang, 'noResults', { query });
+  }
   if (results.length === 0) {
-    return `No medications found for "${query}".`;
+    return label(lang, 'noMoreResults', { query, total });
   }
   
-  let output = `## Found ${results.length} medication(s) for "${query}"\n\n`;
+  let output = `## ${label(lang, 'foundResults', { total, query })}\n\n`;
+  if (total > results.length) {
+    output += `*${label(lang, 'showing', { from: first + 1, to: first + results.length, total })}*\n\n`;
+  }
   
   for (const med of results) {
-    const rx = med.otc ? '🟢 OTC' : '🔴 Rx';
-    output += `- **${med.name}** ${rx}`;
-    if (med.atc) output += ` [${med.atc}]`;
+    output += `- **${med.name}** ${formatOtcBadge(med.otc, lang)}`;
+    const atc = med.family ? med.atcCodes.join(', ') : med.atc;
+    if (atc) output += ` [${atc}]`;
     if (med.substances && med.substances.length > 0) {
       output += ` — ${med.substances.join(', ')}`;
     }
+    if (med.matchedBy) {
+      output += ` _(${med.matchedBy})_`;
+    }
+    if (med.family) {
+      const count = label(lang, 'products', med.variants.length);
+      const forms = med.forms.map(form => formName(form, lang));
+      // Strengths and forms can contain commas ("2,5 mg", "Kapsel, hård")
+      output += `\n  ${[med.strengths.join('; '), forms.join('; '), count].filter(Boolean).join(' · ')}`;
+    }
     output += '\n';
   }
   
@@ -435,94 +714,1539 @@ function getFassUrl(query) {
 }
 
 /**
- * Main lookup function
+ * Build date and age in days of the full database, or null if unknown
+ */
+function getDataAge(now = new Date()) {
+  const updated = DATABASE_INFO.updated ? new Date(DATABASE_INFO.updated) : null;
+  if (!updated || isNaN(updated)) return null;
+  return {
+    updated: DATABASE_INFO.updated,
+    days: Math.max(0, Math.floor((now - updated) / (24 * 60 * 60 * 1000)))
+  };
+}
+
+function formatDataAge(age, lang) {
+  return `${age.updated.substring(0, 10)} (${label(lang, 'daysAgo', age.days)})`;
+}
+
+/**
+ * Disclaimer and sources closing every Markdown answer, after the label
+ * `note` when one is given
+ */
+function formatFooter(lang, note) {
+  const lines = note ? [`*${label(lang, note)}*`] : [];
+  return ['---', ...lines, `*${label(lang, 'disclaimer')}*`, `*${label(lang, 'sources')}*`];
+}
+
+const PRODUCT_FAMILY_LIMIT = 10;
+const MANUFACTURER_LIMIT = 5;
+
+/**
+ * Products section for a curated hit: OTC/Rx split, manufacturers and one
+ * line per product name
+ */
+function formatProducts(med, lang) {
+  const { total, otc, rx, manufacturers, families } = med.products;
+  const output = [''];
+  output.push(`### 🇸🇪 ${label(lang, 'productsHeading')}`);
+  output.push(`${label(lang, 'products', total)} (${label(lang, 'productSplit', { otc, rx })})`);
+
+  // Manufacturer names can contain commas ("Krka d.d., Novo mesto")
+  const shown = manufacturers.slice(0, MANUFACTURER_LIMIT);
+  const more = manufacturers.length - shown.length;
+  output.push(`**${label(lang, 'manufacturers')}:** ${shown.join('; ')}${more > 0 ? ` ${label(lang, 'andMore', { count: more })}` : ''}\n`);
+
+  for (const family of families.slice(0, PRODUCT_FAMILY_LIMIT)) {
+    const forms = family.forms.map(form => formName(form, lang));
+    output.push(`- **${family.name}** ${formatOtcBadge(family.otc, lang)} — ${[family.strengths.join('; '), forms.join('; ')].filter(Boolean).join(' · ')}`);
+  }
+  if (families.length > PRODUCT_FAMILY_LIMIT) {
+    const command = `fass-lookup --search ${med.name} --families`;
+    output.push(`- *${label(lang, 'andMore', { count: families.length - PRODUCT_FAMILY_LIMIT })}: ${command}*`);
+  }
+  output.push('');
+  return output.join('\n');
+}
+
+/**
+ * Main lookup function. Options: lang ('en' or 'sv')
  */
-function lookupMedication(query) {
+function lookupMedication(query, options = {}) {
+  const lang = normalizeLang(options.lang);
   const output = [];
-  output.push(`## Swedish Medication Lookup: ${query}\n`);
+  output.push(`## ${label(lang, 'lookupTitle', { query })}\n`);
   
   const med = findMedication(query);
   
   if (med) {
-    output.push(formatMedication(med));
+    if (med.correctedFrom) {
+      output.push(`*${label(lang, 'correctedFrom', { name: med.name, query: med.correctedFrom })}*\n`);
+    }
+    if (med.unmatched) {
+      output.push(`*${label(lang, 'unmatched', { unmatched: med.unmatched, name: med.name })}*\n`);
+    }
+    output.push(formatMedication(med, { lang }));
+    if (med.products) {
+      output.push(formatProducts(med, lang));
+    }
+    const age = med.fromDatabase || med.products ? getDataAge() : null;
+    if (age) {
+      output.push(`*${label(lang, 'databaseUpdated', { updated: formatDataAge(age, lang) })}*`);
+    }
     output.push('');
   } else {
-    output.push(`No quick info available for "${query}" in database.`);
+    output.push(label(lang, 'noQuickInfo', { query }));
+    const suggestions = suggestMedications(query);
+    if (suggestions.length > 0) {
+      output.push(label(lang, 'didYouMean', { names: suggestions.map(s => s.name).join(', ') }));
+    }
     output.push('');
   }
   
-  output.push('### Full Information on FASS');
+  output.push(`### ${label(lang, 'fassHeading')}`);
   output.push(`🔗 ${getFassUrl(query)}`);
   output.push('');
-  output.push('---');
-  output.push('*This is informational only. Always consult healthcare professionals for medical advice.*');
-  output.push('*Sources: FASS.se, Läkemedelsverket*');
+  output.push(...formatFooter(lang));
   
   return output.join('\n');
 }
 
+// Fields passed through to JSON results when present; see schema/medication-result.schema.json
+const OPTIONAL_JSON_FIELDS = [
+  'use', 'form', 'manufacturer', 'nplId', 'parsedStrength',
+  'family', 'atcCodes', 'strengths', 'forms', 'nplIds', 'variants',
+  'matchedBy', 'correctedFrom', 'unmatched', 'doseLimits', 'pediatricDosing'
+];
+
 /**
- * Export for use as module
+ * Stable JSON form of a result from findMedication, searchMedications,
+ * searchByIndication or searchByAtc, described by
+ * schema/medication-result.schema.json
  */
-module.exports = {
-  lookupMedication,
-  findMedication,
-  searchMedications,
-  getFassUrl,
-  CURATED_MEDICATIONS,
-  COMMON_MEDICATIONS: CURATED_MEDICATIONS, // Backward compatibility
-  FULL_DATABASE,
-  SUBSTANCES_INDEX,
-  getDatabaseStats: () => ({
-    curated: Object.keys(CURATED_MEDICATIONS).length,
-    full: FULL_DATABASE.length,
-    substances: Object.keys(SUBSTANCES_INDEX).length
-  })
-};
-
-// CLI execution
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  
-  const showHelp = () => {
-    const stats = module.exports.getDatabaseStats();
-    console.log('🇸🇪 Swedish Medications - FASS Lookup\n');
-    console.log(`Database: ${stats.curated} curated + ${stats.full} full database\n`);
-    console.log('Usage: fass-lookup <medication_name>');
-    console.log('       fass-lookup paracetamol');
-    console.log('       fass-lookup Alvedon');
-    console.log('       fass-lookup --search "blood pressure"\n');
-    console.log('Options:');
-    console.log('  -h, --help     Show this help message');
-    console.log('  -s, --search   Search and show multiple results');
-    console.log('  -l, --list     List curated medications with extra info');
-    console.log('  --stats        Show database statistics\n');
+function toMedicationJson(med) {
+  const json = {
+    name: med.name,
+    brands: med.brands || [med.name],
+    // Curated entries are keyed by substance
+    substances: med.substances || (med.fromDatabase ? [] : [med.name]),
+    atc: med.atc || null,
+    otc: med.otc,
+    dose: med.dose || null,
+    // Database "warnings" only restate the prescription status
+    warnings: med.fromDatabase ? null : med.warnings || null,
+    source: med.fromDatabase ? 'database' : 'curated',
+    fassUrl: getFassUrl(med.name)
   };
-  
-  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
-    showHelp();
-    process.exit(0);
+  for (const field of OPTIONAL_JSON_FIELDS) {
+    if (med[field] !== undefined && med[field] !== '') json[field] = med[field];
   }
-  
-  if (args.includes('--stats')) {
-    const stats = module.exports.getDatabaseStats();
-    console.log('📊 Database Statistics:');
-    console.log(`   Curated medications (with dosage/warnings): ${stats.curated}`);
-    console.log(`   Full database entries: ${stats.full}`);
-    console.log(`   Indexed substances: ${stats.substances}`);
-    process.exit(0);
+  if (med.products) {
+    json.products = { ...med.products, families: med.products.families.map(toMedicationJson) };
   }
-  
-  if (args.includes('-l') || args.includes('--list')) {
-    console.log('Curated medications (with extra info):\n');
-    Object.entries(CURATED_MEDICATIONS).forEach(([name, info]) => {
-      console.log(`${name} (${info.brands.join(', ')})`);
-      console.log(`  Use: ${info.use}`);
-      console.log(`  OTC: ${info.otc === true ? 'Yes' : info.otc === false ? 'No (Rx)' : info.otc}\n`);
-    });
-    process.exit(0);
+  return json;
+}
+
+/**
+ * JSON counterpart of lookupMedication:
+ * { query, found, result, suggestions, fassUrl }
+ */
+function lookupMedicationJson(query) {
+  const med = findMedication(query);
+  return {
+    query,
+    found: Boolean(med),
+    result: med ? toMedicationJson(med) : null,
+    suggestions: med ? [] : suggestMedications(query).map(s => s.name),
+    fassUrl: getFassUrl(query)
+  };
+}
+
+const SEVERITY_ORDER = ['D', 'C', 'B', 'A'];
+const SEVERITY_ICONS = { red: '🔴', orange: '🟠', yellow: '🟡', green: '🟢' };
+
+/**
+ * ATC codes of single-substance products in the full database.
+ * Combination products are skipped so that e.g. paracetamol does not
+ * inherit the opioid ATC code of paracetamol/kodein.
+ */
+function getSubstanceAtcCodes(substance) {
+  const index = getSearchIndex();
+  const codes = new Set();
+
+  for (const nplId of SUBSTANCES_INDEX[substance] || []) {
+    const med = index.getByNplId(nplId);
+    if (med && med.atcCode && med.activeSubstances.length === 1) {
+      codes.add(med.atcCode.toUpperCase());
+    }
   }
-  
+  return codes;
+}
+
+/**
+ * Substances of a product found for a query. A product named by the
+ * query (a brand, or a corrected spelling of one) brings all its
+ * substances; a product that only matched part of its name or one of its
+ * substances brings just the substances the query names, so "kodein"
+ * does not add paracetamol from Citodon.
+ */
+function productSubstances(med, queryLower) {
+  const substances = med.substances.map(sub => sub.toLowerCase());
+  if (substances.length === 1 || med.correctedFrom || med.name.toLowerCase().startsWith(queryLower)) {
+    return substances;
+  }
+  return substances.filter(sub => sub.includes(queryLower));
+}
+
+/**
+ * Is a findMedication result named by the query: a curated substance or
+ * brand, a product name (alone or with more words, as in "Ipren Gel"), or
+ * a corrected spelling of one? Fragments that only occur inside a name,
+ * such as "bar" in baricitinib, are not.
+ */
+function isNamedMatch(med, query) {
+  if (med.correctedFrom) return true;
+  const name = normalizeForMatch(parseQuery(query).name);
+  const names = med.fromDatabase ? [med.name] : [med.name, ...med.brands];
+  return names.some(candidate => {
+    const normalized = normalizeForMatch(candidate);
+    return normalized === name || normalized.startsWith(`${name} `);
+  });
+}
+
+/**
+ * Resolve a medication name (brand or substance) to lowercase substance names
+ * and the ATC codes they are marketed under. Exact substance names (curated,
+ * indexed or in interactions.json) are tried before any product search, so
+ * "morfin" is not resolved to apomorfin; anything else must name a product
+ * or brand (see isNamedMatch) or it stays unresolved.
+ */
+function resolveMedication(query) {
+  const queryLower = query.toLowerCase().trim();
+  const substances = new Set();
+  let med = null;
+  let atc = '';
+
+  const curated = CURATED_MEDICATIONS[queryLower];
+  const knownSubstance = Boolean(curated || SUBSTANCES_INDEX[queryLower] || INTERACTIONS.index[queryLower]);
+  if (knownSubstance) {
+    substances.add(queryLower);
+    if (curated) atc = curated.atc.toUpperCase();
+  } else {
+    med = findMedication(query);
+    if (med && !isNamedMatch(med, query)) med = null;
+    const found = !med ? [] : med.fromDatabase ? productSubstances(med, queryLower) : [med.name];
+    found.forEach(sub => substances.add(sub));
+    if (found.length === 0) {
+      med = null;
+      // Unknown names are still looked up in the interaction rules
+      substances.add(queryLower);
+    } else if (med.atc && (!med.fromDatabase || found.length === med.substances.length)) {
+      atc = med.atc.toUpperCase();
+    }
+  }
+
+  const atcCodes = new Set(atc ? [atc] : []);
+  for (const sub of substances) {
+    for (const code of getSubstanceAtcCodes(sub)) atcCodes.add(code);
+  }
+
+  return {
+    query: query.trim(),
+    name: med ? med.name : queryLower,
+    substances: [...substances],
+    atc,
+    atcCodes: [...atcCodes],
+    resolved: knownSubstance || Boolean(med)
+  };
+}
+
+/**
+ * Does one side of a rule (a substance or an ATC group) match the drug?
+ */
+function matchesRuleSide(drug, substance, atcGroup) {
+  if (substance) return drug.substances.includes(substance);
+  if (atcGroup) return drug.atcCodes.some(code => code.startsWith(atcGroup));
+  return false;
+}
+
+/**
+ * Human-readable description of the rule behind an interaction
+ */
+function describeRule(entry) {
+  return `${entry.drug1 || entry.atc1} × ${entry.drug2 || entry.atc2}`;
+}
+
+/**
+ * Find curated interactions between two resolved medications.
+ * Substance rules take precedence: ATC group rules only fire for a pair
+ * that no substance-specific rule covers.
+ */
+function findInteractions(drugA, drugB) {
+  const atcIndex = INTERACTIONS.atcIndex || {};
+  const candidates = new Set();
+
+  // Rules are indexed under both of their sides, so collecting drug A's
+  // entries and matching them against the pair covers both directions
+  for (const sub of drugA.substances) {
+    for (const idx of INTERACTIONS.index[sub] || []) candidates.add(idx);
+  }
+  for (const code of drugA.atcCodes) {
+    for (let len = 1; len <= code.length; len++) {
+      for (const idx of atcIndex[code.substring(0, len)] || []) candidates.add(idx);
+    }
+  }
+
+  const matched = [...candidates].filter(idx => {
+    const entry = INTERACTIONS.interactions[idx];
+    const side1 = [entry.drug1, entry.atc1];
+    const side2 = [entry.drug2, entry.atc2];
+    return (matchesRuleSide(drugA, ...side1) && matchesRuleSide(drugB, ...side2)) ||
+      (matchesRuleSide(drugA, ...side2) && matchesRuleSide(drugB, ...side1));
+  });
+
+  const isGroupRule = idx => Boolean(INTERACTIONS.interactions[idx].atc1 || INTERACTIONS.interactions[idx].atc2);
+  const specific = matched.filter(idx => !isGroupRule(idx));
+  const fired = specific.length > 0 ? specific : matched;
+
+  return fired.map(idx => {
+    const entry = INTERACTIONS.interactions[idx];
+    return {
+      ...entry,
+      drugs: [drugA.substances.join('/'), drugB.substances.join('/')],
+      rule: describeRule(entry),
+      ruleType: isGroupRule(idx) ? 'atc' : 'substance',
+      severityLevel: INTERACTIONS.severityLegend[entry.severity] || null
+    };
+  });
+}
+
+/**
+ * Sort interactions with the most severe first
+ */
+function sortBySeverity(interactions) {
+  return interactions.sort((x, y) => SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity));
+}
+
+/**
+ * Check two medications against the curated interaction list
+ */
+function checkInteraction(a, b) {
+  const drugA = resolveMedication(a);
+  const drugB = resolveMedication(b);
+  const interactions = sortBySeverity(findInteractions(drugA, drugB));
+
+  return { drugA, drugB, interactions };
+}
+
+/**
+ * Resolve every entry of a medication list, keeping unmatched names apart
+ */
+function resolveMedicationList(names) {
+  const medications = [];
+  const unresolved = [];
+
+  for (const name of names) {
+    if (!name || !name.trim()) continue;
+    const drug = resolveMedication(name);
+    if (drug.resolved) {
+      medications.push(drug);
+    } else {
+      unresolved.push(drug.query);
+    }
+  }
+
+  return { medications, unresolved };
+}
+
+// Length of an ATC code at each level of the hierarchy (M, M01, M01A, M01AE, M01AE01)
+const ATC_LEVEL_LENGTHS = { 1: 1, 2: 3, 3: 4, 4: 5, 5: 7 };
+const DEFAULT_DUPLICATE_ATC_LEVEL = 3;
+
+/**
+ * Detect therapeutic duplication among resolved medications: the same
+ * substance under different brand names, or different substances that
+ * share an ATC group at the given level
+ */
+function detectDuplicates(medications, atcLevel = DEFAULT_DUPLICATE_ATC_LEVEL) {
+  const prefixLength = ATC_LEVEL_LENGTHS[atcLevel];
+  if (!prefixLength) {
+    throw new Error(`Invalid ATC level ${atcLevel}, expected 1-5`);
+  }
+
+  const duplicates = [];
+  const bySubstance = {};
+  const byGroup = {};
+
+  for (const drug of medications) {
+    for (const sub of drug.substances) {
+      if (!bySubstance[sub]) bySubstance[sub] = [];
+      bySubstance[sub].push(drug);
+    }
+    const codes = drug.atc ? [drug.atc] : drug.atcCodes;
+    for (const group of new Set(codes.filter(code => code.length >= prefixLength).map(code => code.substring(0, prefixLength)))) {
+      if (!byGroup[group]) byGroup[group] = [];
+      byGroup[group].push(drug);
+    }
+  }
+
+  for (const [substance, drugs] of Object.entries(bySubstance)) {
+    if (drugs.length > 1) {
+      duplicates.push({ type: 'substance', group: substance, medications: drugs.map(d => d.query) });
+    }
+  }
+  for (const [group, drugs] of Object.entries(byGroup)) {
+    // Same-substance pairs are already reported above
+    const distinct = new Set(drugs.map(d => d.substances.join('/')));
+    if (drugs.length > 1 && distinct.size > 1) {
+      duplicates.push({
+        type: 'atc',
+        group,
+        level: atcLevel,
+        medications: drugs.map(d => d.query),
+        atcCodes: drugs.map(d => d.atc || d.atcCodes.find(code => code.startsWith(group)))
+      });
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Find therapeutic duplicates in a medication list
+ */
+function findDuplicateTherapies(names, options = {}) {
+  const { medications, unresolved } = resolveMedicationList(names);
+  const duplicates = detectDuplicates(medications, options.atcLevel);
+
+  return { medications, unresolved, duplicates };
+}
+
+/**
+ * Review a full medication list: every pair is checked for interactions,
+ * and the list is checked for therapeutic duplication
+ */
+function reviewMedicationList(names, options = {}) {
+  const { medications, unresolved } = resolveMedicationList(names);
+
+  const interactions = [];
+  for (let i = 0; i < medications.length; i++) {
+    for (let j = i + 1; j < medications.length; j++) {
+      for (const interaction of findInteractions(medications[i], medications[j])) {
+        interactions.push({ ...interaction, between: [medications[i].query, medications[j].query] });
+      }
+    }
+  }
+
+  return {
+    medications,
+    unresolved,
+    interactions: sortBySeverity(interactions),
+    duplicates: detectDuplicates(medications, options.atcLevel)
+  };
+}
+
+/**
+ * Format a single interaction entry
+ */
+function formatInteraction(interaction, lang) {
+  const level = interaction.severityLevel;
+  const icon = level && SEVERITY_ICONS[level.color] ? `${SEVERITY_ICONS[level.color]} ` : '';
+  const sv = lang === 'sv';
+
+  let output = `### ${icon}${interaction.drugs.join(' + ')}\n\n`;
+  output += `**${label(lang, 'severity')}:** ${interaction.severity}`;
+  if (level) output += sv ? ` — ${level.sv}` : ` — ${level.en} (${level.sv})`;
+  output += '\n';
+  if (interaction.between) output += `**${label(lang, 'between')}:** ${interaction.between.join(' + ')}\n`;
+  output += `**${label(lang, 'rule')}:** ${interaction.rule}${interaction.ruleType === 'atc' ? label(lang, 'atcGroupRule') : ''}\n`;
+  if (interaction.mechanism) output += `**${label(lang, 'mechanism')}:** ${interaction.mechanism}\n`;
+  output += `**${label(lang, 'description')}:** ${(sv && interaction.descriptionSv) || interaction.descriptionEn}\n`;
+  output += `**${label(lang, 'recommendation')}:** ${(sv && interaction.recommendationSv) || interaction.recommendationEn}\n`;
+
+  return output;
+}
+
+/**
+ * Format the result of checkInteraction as markdown. Options: lang ('en' or 'sv')
+ */
+function formatInteractionCheck(result, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const { drugA, drugB, interactions } = result;
+  const output = [];
+  output.push(`## ${label(lang, 'interactionTitle', { a: drugA.query, b: drugB.query })}\n`);
+  output.push(`**${drugA.query}:** ${drugA.substances.join(', ')}`);
+  output.push(`**${drugB.query}:** ${drugB.substances.join(', ')}\n`);
+
+  if (interactions.length > 0) {
+    for (const interaction of interactions) {
+      output.push(formatInteraction(interaction, lang));
+    }
+  } else {
+    output.push(label(lang, 'noInteraction', { a: drugA.query, b: drugB.query }));
+    output.push(`${label(lang, 'notRuledOut')}\n`);
+  }
+
+  output.push(...formatFooter(lang));
+
+  return output.join('\n');
+}
+
+/**
+ * Format therapeutic duplicates as a markdown list
+ */
+function formatDuplicates(duplicates, lang) {
+  const lines = duplicates.map(dup => {
+    if (dup.type === 'substance') {
+      return `- ⚠️ **${label(lang, 'sameSubstance', { group: dup.group })}:** ${dup.medications.join(' + ')}`;
+    }
+    const entries = dup.medications.map((name, i) => `${name} (${dup.atcCodes[i]})`);
+    return `- ⚠️ **${label(lang, 'sameAtcGroup', { group: dup.group })}:** ${entries.join(' + ')}`;
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the result of reviewMedicationList as markdown. Options: lang ('en' or 'sv')
+ */
+function formatMedicationReview(report, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const { medications, unresolved, interactions, duplicates } = report;
+  const output = [];
+  output.push(`## ${label(lang, 'reviewTitle', { count: medications.length + unresolved.length })}\n`);
+
+  output.push(`### ${label(lang, 'medications')}`);
+  for (const drug of medications) {
+    output.push(`- **${drug.query}** → ${drug.substances.join(', ')}`);
+  }
+  output.push('');
+
+  if (interactions.length > 0) {
+    const counts = SEVERITY_ORDER
+      .map(severity => [severity, interactions.filter(i => i.severity === severity).length])
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} × ${severity}`);
+    output.push(`**${label(lang, 'interactionsFound')}:** ${interactions.length} (${counts.join(', ')})\n`);
+    for (const interaction of interactions) {
+      output.push(formatInteraction(interaction, lang));
+    }
+  } else {
+    output.push(label(lang, 'noInteractions'));
+    output.push(`${label(lang, 'notRuledOut')}\n`);
+  }
+
+  if (duplicates && duplicates.length > 0) {
+    output.push(`### ${label(lang, 'duplicationHeading')}`);
+    output.push(formatDuplicates(duplicates, lang));
+  }
+
+  if (unresolved.length > 0) {
+    output.push(`### ${label(lang, 'notFoundHeading')}`);
+    output.push(label(lang, 'notChecked'));
+    for (const name of unresolved) {
+      output.push(`- ${name}`);
+    }
+    output.push('');
+  }
+
+  output.push(...formatFooter(lang));
+
+  return output.join('\n');
+}
+
+const ATC_PRODUCT_LIST_LIMIT = 100;
+
+/**
+ * Normalize and validate an ATC code or prefix (e.g. "n06ab" -> "N06AB")
+ */
+function normalizeAtc(code) {
+  const normalized = String(code || '').toUpperCase().replace(/\s+/g, '');
+  if (!ATC_PATTERN.test(normalized)) {
+    throw new Error(`Invalid ATC code "${code}", expected e.g. N, N06, N06A, N06AB or N06AB06`);
+  }
+  return normalized;
+}
+
+/**
+ * ATC level (1-5) of a code
+ */
+function getAtcLevel(code) {
+  return Number(Object.keys(ATC_LEVEL_LENGTHS).find(level => ATC_LEVEL_LENGTHS[level] === code.length));
+}
+
+/**
+ * Swedish and English name of an ATC group. Level 5 codes are named
+ * after the substances marketed under them in the full database.
+ */
+function getAtcName(code) {
+  const atc = normalizeAtc(code);
+  const level = getAtcLevel(atc);
+
+  if (ATC_NAMES[atc]) {
+    return { code: atc, level, en: ATC_NAMES[atc].en, sv: ATC_NAMES[atc].sv };
+  }
+  if (level === 5) {
+    const names = new Set();
+    for (const med of getSearchIndex().findByAtc(atc)) {
+      if (med.atcCode === atc && med.activeSubstances) {
+        names.add(med.activeSubstances.map(sub => sub.toLowerCase()).join(' + '));
+      }
+    }
+    const curated = Object.keys(CURATED_MEDICATIONS).find(name => CURATED_MEDICATIONS[name].atc === atc);
+    if (names.size === 0 && curated) names.add(curated);
+    if (names.size > 0) {
+      const name = [...names].sort((a, b) => a.length - b.length)[0];
+      return { code: atc, level, en: name, sv: name };
+    }
+  }
+  return { code: atc, level, en: null, sv: null };
+}
+
+/**
+ * All products in an ATC group (e.g. "N06AB"), sorted by code and name
+ */
+function searchByAtc(code) {
+  const atc = normalizeAtc(code);
+
+  return getSearchIndex().findByAtc(atc)
+    .slice()
+    .sort((a, b) => a.atcCode.localeCompare(b.atcCode) || a.name.localeCompare(b.name, 'sv'))
+    .map(med => ({
+      name: med.name,
+      use: med.summary || '',
+      dose: med.strength || '',
+      otc: !med.prescriptionRequired,
+      atc: med.atcCode,
+      substances: med.activeSubstances || [],
+      form: med.form || '',
+      nplId: med.nplId,
+      parsedStrength: med.parsedStrength || null,
+      fromDatabase: true
+    }));
+}
+
+/**
+ * ATC hierarchy around a code: its ancestors, and the subgroups one level
+ * down that have products in the full database
+ */
+function getAtcTree(code) {
+  const atc = normalizeAtc(code);
+  const level = getAtcLevel(atc);
+  const products = searchByAtc(atc);
+
+  const path = [];
+  for (let l = 1; l < level; l++) {
+    path.push(getAtcName(atc.substring(0, ATC_LEVEL_LENGTHS[l])));
+  }
+
+  const children = [];
+  const childLength = ATC_LEVEL_LENGTHS[level + 1];
+  if (childLength) {
+    const counts = {};
+    for (const med of products) {
+      const child = med.atc.toUpperCase().substring(0, childLength);
+      if (child.length === childLength) counts[child] = (counts[child] || 0) + 1;
+    }
+    for (const child of Object.keys(counts).sort()) {
+      children.push({ ...getAtcName(child), count: counts[child] });
+    }
+  }
+
+  return { ...getAtcName(atc), count: products.length, path, children };
+}
+
+/**
+ * Format an ATC group name as "en (sv)", or just the Swedish name in Swedish
+ */
+function formatAtcName(node, lang) {
+  if (!node.en) return label(lang, 'atcUnnamed');
+  if (lang === 'sv') return node.sv || node.en;
+  return node.en === node.sv ? node.en : `${node.en} (${node.sv})`;
+}
+
+/**
+ * Format the result of getAtcTree as an indented tree. Options: lang ('en' or 'sv')
+ */
+function formatAtcTree(tree, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const lines = [`## ATC ${tree.code}: ${formatAtcName(tree, lang)}\n`];
+  const nodes = [...tree.path, tree];
+
+  nodes.forEach((node, depth) => {
+    const indent = depth === 0 ? '' : '   '.repeat(depth - 1) + '└─ ';
+    const count = node === tree ? ` ${label(lang, 'atcProducts', tree.count)}` : '';
+    lines.push(`${indent}${node.code} — ${formatAtcName(node, lang)}${count}`);
+  });
+
+  tree.children.forEach((child, i) => {
+    const branch = i === tree.children.length - 1 ? '└─ ' : '├─ ';
+    lines.push(`${'   '.repeat(nodes.length - 1)}${branch}${child.code} — ${formatAtcName(child, lang)} (${child.count})`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+let EQUIVALENCE_INDEX = null;
+
+/**
+ * Comparable form of a strength: "2,5 mg" and "2.5mg" -> "2.5 mg"
+ */
+function normalizeStrength(strength) {
+  return String(strength || '')
+    .toLowerCase()
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/(\d)\s*([a-zµ%])/g, '$1 $2')
+    .replace(/\s*([/+])\s*/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Interchangeability key: same substances, strength and form.
+ * Products without a strength are never interchangeable.
+ */
+function equivalenceKey(med) {
+  if (!med.activeSubstances || med.activeSubstances.length === 0) return null;
+
+  // Parsed strengths compare "1 g" equal to "1000 mg"; order them by substance
+  // so "abakavir 600 mg + lamivudin 300 mg" matches whatever order it was listed in
+  const parsed = med.parsedStrength && med.parsedStrength.every(c => c.substance)
+    ? med.parsedStrength.slice().sort((a, b) => a.substance.toLowerCase().localeCompare(b.substance.toLowerCase()))
+    : med.parsedStrength;
+  const strength = parsed ? strengthKey(parsed) : normalizeStrength(med.strength);
+  if (!strength) return null;
+
+  const substances = med.activeSubstances.map(sub => sub.toLowerCase().trim()).sort().join('+');
+  return `${substances}|${strength}|${(med.form || '').toLowerCase().trim()}`;
+}
+
+/**
+ * Products grouped by equivalenceKey, built on first use
+ */
+function getEquivalenceIndex() {
+  if (!EQUIVALENCE_INDEX) {
+    EQUIVALENCE_INDEX = new Map();
+    for (const med of FULL_DATABASE) {
+      const key = equivalenceKey(med);
+      if (!key) continue;
+      if (!EQUIVALENCE_INDEX.has(key)) EQUIVALENCE_INDEX.set(key, []);
+      EQUIVALENCE_INDEX.get(key).push(med);
+    }
+  }
+  return EQUIVALENCE_INDEX;
+}
+
+function toEquivalentProduct(med) {
+  return {
+    name: med.name,
+    nplId: med.nplId,
+    strength: med.strength,
+    form: med.form,
+    manufacturer: med.manufacturer,
+    prescriptionRequired: med.prescriptionRequired
+  };
+}
+
+/**
+ * Find products interchangeable with a product (name or nplId): same
+ * active substances, strength and form. A product name usually covers
+ * several strengths and forms, so there is one group per variant.
+ */
+function findEquivalents(productOrNplId) {
+  const query = String(productOrNplId).trim();
+  const index = getSearchIndex();
+
+  let products;
+  if (NPL_ID_PATTERN.test(query)) {
+    const med = index.getByNplId(query);
+    products = med ? [med] : [];
+  } else {
+    // Exact product name, else the product findMedication resolves to (typos).
+    // A strength or form ("Alvedon 500 mg") narrows the product's variants.
+    const parsed = parseProductQuery(query);
+    const resolved = findMedication(parsed ? parsed.name : query);
+    const nameLower = resolved && resolved.fromDatabase ? resolved.name.toLowerCase() : (parsed ? parsed.name : query).toLowerCase();
+    products = index.findSubstring(nameLower).filter(med => med.nameNormalized === nameLower &&
+      (!parsed || matchesProductQuery(med, parsed)));
+  }
+
+  const groups = [];
+  const seen = new Set();
+  for (const med of products) {
+    const key = equivalenceKey(med);
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+
+    const members = key ? getEquivalenceIndex().get(key) : [med];
+    groups.push({
+      substances: med.activeSubstances,
+      strength: med.strength,
+      form: med.form,
+      product: toEquivalentProduct(med),
+      alternatives: members
+        .filter(other => other.nplId !== med.nplId)
+        .map(toEquivalentProduct)
+        .sort((a, b) => a.name.localeCompare(b.name, 'sv'))
+    });
+  }
+
+  return { query, groups };
+}
+
+function formatRxStatus(prescriptionRequired, lang) {
+  return label(lang, prescriptionRequired ? 'rxStatus' : 'otcStatus');
+}
+
+/**
+ * Format findEquivalents results. Options: lang ('en' or 'sv')
+ */
+function formatEquivalents(result, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const { query, groups } = result;
+  if (groups.length === 0) {
+    return label(lang, 'noProductNamed', { query });
+  }
+
+  const output = [`## ${label(lang, 'equivalentsTitle', { query })}\n`];
+  for (const group of groups) {
+    const form = group.form && `(${formName(group.form, lang)})`;
+    const variant = [group.product.name, group.strength, form].filter(Boolean).join(' ');
+    output.push(`### ${variant}`);
+    output.push(`**${label(lang, 'activeSubstances')}:** ${group.substances.join(', ')}`);
+    output.push(`**${label(lang, 'thisProduct')}:** ${group.product.manufacturer} · ${formatRxStatus(group.product.prescriptionRequired, lang)}\n`);
+
+    if (!group.strength) {
+      output.push(`${label(lang, 'strengthUnknown')}\n`);
+    } else if (group.alternatives.length === 0) {
+      output.push(`${label(lang, 'noAlternatives')}\n`);
+    } else {
+      for (const alt of group.alternatives) {
+        output.push(`- **${alt.name}** — ${alt.manufacturer} · ${formatRxStatus(alt.prescriptionRequired, lang)}`);
+      }
+      output.push('');
+    }
+  }
+
+  output.push(...formatFooter(lang, 'equivalentsNote'));
+  return output.join('\n');
+}
+
+const DEFAULT_DOSE_POPULATION = 'adult';
+
+/**
+ * Amounts of each substance in one unit (tablet, capsule) of a regimen
+ * entry as [{ substance, mg }], or { reason } when they cannot be known:
+ * notFound, noStrength (curated name without a strength) or notMass
+ * (liquids, gels and other strengths per ml or gram)
+ */
+function doseAmounts(query) {
+  const med = findMedication(query);
+  if (!med) return { reason: 'notFound' };
+
+  const substances = med.fromDatabase ? med.substances : [med.name];
+  const stated = parseQuery(query).strength;
+  // The strength asked for, else the product's own
+  const components = stated && stated.length === substances.length ? stated
+    : med.fromDatabase ? med.parsedStrength
+    : null;
+  if (!components) return { med, reason: med.fromDatabase ? 'notMass' : 'noStrength' };
+
+  const amounts = [];
+  for (const [i, component] of components.entries()) {
+    const mg = component.per ? null : toMilligrams(component.value, component.unit);
+    const substance = component.substance || substances[i];
+    if (mg === null || !substance) return { med, reason: 'notMass' };
+    amounts.push({ substance: substance.toLowerCase(), mg });
+  }
+  return { med, amounts };
+}
+
+/**
+ * Structured dose limit of a curated substance for a population, in mg
+ */
+function getDoseLimit(substance, population) {
+  const info = CURATED_MEDICATIONS[substance];
+  const limit = info && (info.doseLimits || []).find(l => l.population === population);
+  if (!limit) return null;
+  return {
+    singleDoseMg: limit.singleDose ? toMilligrams(limit.singleDose.value, limit.singleDose.unit) : null,
+    maxDailyMg: toMilligrams(limit.maxDaily.value, limit.maxDaily.unit),
+    note: limit.note,
+    noteSv: limit.noteSv
+  };
+}
+
+/**
+ * Check a regimen against the maximum doses in the curated list. Each
+ * entry is "Alvedon 1 g x5" (see parseRegimen), or
+ * { medication, timesPerDay, unitsPerDose }; a single entry may be given
+ * with timesPerDay as a number: checkDose('Alvedon 1 g', 5). The same
+ * substance is summed across entries (Alvedon + Panodil), and combination
+ * products count towards each of their substances. Options: population
+ * ('adult', the default).
+ *
+ * Returns { population, entries, substances, unresolved, exceeded };
+ * substances have status 'over', 'ok' or 'noLimit'.
+ */
+function checkDose(regimen, timesPerDay, options = {}) {
+  if (timesPerDay && typeof timesPerDay === 'object') {
+    options = timesPerDay;
+    timesPerDay = undefined;
+  }
+  const population = options.population || DEFAULT_DOSE_POPULATION;
+  const list = Array.isArray(regimen) ? regimen : [regimen];
+
+  const entries = [];
+  const unresolved = [];
+  const totals = new Map();
+
+  for (const item of list) {
+    const parsed = typeof item === 'string' ? parseRegimen(item) : { unitsPerDose: 1, ...item };
+    const query = String(parsed.medication || '').trim();
+    if (!query) continue;
+    const times = parsed.timesPerDay || (list.length === 1 ? timesPerDay : null);
+    if (!(times > 0)) {
+      unresolved.push({ query, reason: 'noFrequency' });
+      continue;
+    }
+
+    const { med, amounts, reason } = doseAmounts(query);
+    if (reason) {
+      unresolved.push({ query, reason });
+      continue;
+    }
+
+    const entry = {
+      query,
+      name: med.name,
+      timesPerDay: times,
+      unitsPerDose: parsed.unitsPerDose,
+      amounts: amounts.map(({ substance, mg }) => ({
+        substance,
+        mgPerDose: mg * parsed.unitsPerDose,
+        mgPerDay: mg * parsed.unitsPerDose * times
+      }))
+    };
+    entries.push(entry);
+
+    for (const amount of entry.amounts) {
+      if (!totals.has(amount.substance)) totals.set(amount.substance, { dailyMg: 0, entries: [], overSingleDose: [] });
+      const total = totals.get(amount.substance);
+      total.dailyMg += amount.mgPerDay;
+      total.entries.push(query);
+      const limit = getDoseLimit(amount.substance, population);
+      if (limit && limit.singleDoseMg !== null && amount.mgPerDose > limit.singleDoseMg) {
+        total.overSingleDose.push(query);
+      }
+    }
+  }
+
+  const substances = [...totals].map(([substance, total]) => {
+    const limit = getDoseLimit(substance, population);
+    const over = limit && (total.dailyMg > limit.maxDailyMg || total.overSingleDose.length > 0);
+    return {
+      substance,
+      dailyMg: total.dailyMg,
+      maxDailyMg: limit ? limit.maxDailyMg : null,
+      singleDoseMg: limit ? limit.singleDoseMg : null,
+      status: !limit ? 'noLimit' : over ? 'over' : 'ok',
+      entries: total.entries,
+      overSingleDose: total.overSingleDose,
+      ...(limit && limit.note ? { note: limit.note, noteSv: limit.noteSv } : {})
+    };
+  });
+  // Exceeded limits first
+  const statusOrder = { over: 0, ok: 1, noLimit: 2 };
+  substances.sort((a, b) => statusOrder[a.status] - statusOrder[b.status]);
+
+  return {
+    population,
+    entries,
+    substances,
+    unresolved,
+    exceeded: substances.some(s => s.status === 'over')
+  };
+}
+
+const DOSE_REASON_LABELS = {
+  notFound: 'reasonNotFound',
+  noStrength: 'reasonNoStrength',
+  notMass: 'reasonNotMass',
+  noFrequency: 'reasonNoFrequency'
+};
+
+function formatMg(mg, lang) {
+  const text = String(+mg.toFixed(3));
+  return `${lang === 'sv' ? text.replace('.', ',') : text} mg`;
+}
+
+/**
+ * Format checkDose results. Options: lang ('en' or 'sv')
+ */
+function formatDoseCheck(result, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const output = [];
+  output.push(`## ${label(lang, 'doseTitle', { population: label(lang, result.population === 'child' ? 'child' : 'adult') })}\n`);
+
+  for (const s of result.substances) {
+    const name = s.substance.charAt(0).toUpperCase() + s.substance.slice(1);
+    const daily = formatMg(s.dailyMg, lang);
+    if (s.status === 'noLimit') {
+      output.push(`### ⚪ ${name}: ${label(lang, 'perDay', { amount: daily })}`);
+    } else {
+      const icon = s.status === 'over' ? '🔴' : '🟢';
+      output.push(`### ${icon} ${name}: ${label(lang, 'perDay', { amount: daily })} (${label(lang, 'maxPerDay', { amount: formatMg(s.maxDailyMg, lang) })})`);
+    }
+    for (const entry of result.entries) {
+      const amount = entry.amounts.find(a => a.substance === s.substance);
+      if (!amount) continue;
+      const units = entry.unitsPerDose > 1 ? `${entry.unitsPerDose} × ` : '';
+      output.push(`- ${units}${entry.query} × ${entry.timesPerDay}/${label(lang, 'day')} = ${formatMg(amount.mgPerDay, lang)}`);
+    }
+    if (s.status === 'over' && s.dailyMg > s.maxDailyMg) {
+      output.push(`\n**${label(lang, 'overDaily', { amount: formatMg(s.dailyMg - s.maxDailyMg, lang) })}**`);
+    }
+    if (s.overSingleDose.length > 0) {
+      output.push(`\n**${label(lang, 'overSingle', { amount: formatMg(s.singleDoseMg, lang), entries: s.overSingleDose.join(', ') })}**`);
+    }
+    if (s.status === 'noLimit') {
+      output.push(`\n${label(lang, 'noDoseLimit')}`);
+    }
+    if (s.note) {
+      output.push(`\n*${localized(s, 'note', lang)}*`);
+    }
+    output.push('');
+  }
+
+  if (result.unresolved.length > 0) {
+    output.push(`### ${label(lang, 'notCheckedHeading')}`);
+    for (const { query, reason } of result.unresolved) {
+      output.push(`- ${query}: ${label(lang, DOSE_REASON_LABELS[reason])}`);
+    }
+    output.push('');
+  }
+
+  output.push(...formatFooter(lang, 'doseNote'));
+  return output.join('\n');
+}
+
+const PEDIATRIC_BOUNDS = ['minAgeMonths', 'maxAgeMonths', 'minWeightKg', 'maxWeightKg'];
+// Forms a parent would not give: hospital use and modified release
+const PEDIATRIC_EXCLUDED_FORMS = /infusion|injektion|depot/i;
+const PEDIATRIC_MAX_UNITS = 2;
+const PEDIATRIC_PRODUCT_LIMIT = 10;
+// Rules without an upper age bound still only cover children (under 18)
+const PEDIATRIC_MAX_AGE_MONTHS = 18 * 12;
+
+function ruleBound(rule, bound) {
+  return bound === 'maxAgeMonths' && rule.maxAgeMonths === undefined ? PEDIATRIC_MAX_AGE_MONTHS : rule[bound];
+}
+
+function inBounds(value, min, max) {
+  return value === null || ((min === undefined || value >= min) && (max === undefined || value < max));
+}
+
+function ruleFits(rule, weightKg, ageMonths) {
+  return inBounds(weightKg, rule.minWeightKg, rule.maxWeightKg) &&
+    inBounds(ageMonths, rule.minAgeMonths, ruleBound(rule, 'maxAgeMonths'));
+}
+
+/**
+ * Ages and weights the rules cover: the lowest minimum and highest
+ * maximum of each bound (null when some rule has no bound)
+ */
+function pediatricRange(rules) {
+  const range = {};
+  for (const bound of PEDIATRIC_BOUNDS) {
+    const values = rules.map(rule => ruleBound(rule, bound));
+    range[bound] = values.some(value => value === undefined) ? null
+      : bound.startsWith('min') ? Math.min(...values) : Math.max(...values);
+  }
+  return range;
+}
+
+/**
+ * Amount of a product that gives a dose within [minMg, maxMg]: ml for
+ * liquids (in half ml), whole units for tablets and suppositories
+ */
+function productAmount(component, minMg, maxMg) {
+  const mg = toMilligrams(component.value, component.unit);
+  if (mg === null) return null;
+  if (component.per) {
+    if (component.per.unit !== 'ml') return null;
+    const mgPerMl = mg / component.per.value;
+    let min = Math.ceil(minMg / mgPerMl * 2) / 2;
+    let max = Math.floor(maxMg / mgPerMl * 2) / 2;
+    if (min > max) {
+      min = +(minMg / mgPerMl).toFixed(1);
+      max = +(maxMg / mgPerMl).toFixed(1);
+    }
+    return { min, max, unit: 'ml' };
+  }
+  const min = Math.ceil(minMg / mg - 1e-9);
+  const max = Math.min(Math.floor(maxMg / mg + 1e-9), PEDIATRIC_MAX_UNITS);
+  return min >= 1 && min <= max ? { min, max, unit: 'units' } : null;
+}
+
+/**
+ * Products of a substance that can give the dose, OTC first
+ */
+function pediatricProducts(substance, minMg, maxMg) {
+  const seen = new Set();
+  const products = [];
+  for (const med of getSubstanceProducts(substance)) {
+    const key = `${med.name}|${med.dose}|${med.form}`;
+    if (seen.has(key) || PEDIATRIC_EXCLUDED_FORMS.test(med.form) || !med.parsedStrength) continue;
+    seen.add(key);
+    const amount = productAmount(med.parsedStrength[0], minMg, maxMg);
+    if (amount) {
+      products.push({ name: med.name, strength: med.dose, form: med.form, nplId: med.nplId, otc: med.otc, amount });
+    }
+  }
+  return products.sort((a, b) => Number(b.otc) - Number(a.otc));
+}
+
+/**
+ * Children's dose of a curated OTC medication (substance or brand) from
+ * the child's weight and/or age. weight is kg or text ("18kg"); age is
+ * years or text ("4 år", "8 months"). Rules come from pediatricDosing in
+ * the curated list, and the dose is matched to products and strengths in
+ * the full database.
+ *
+ * Returns { query, substance, weightKg, ageMonths, supported, ... }. When
+ * supported is false, reason is 'notFound', 'noRules', 'needWeight',
+ * 'needAge' or 'outOfRange' (with the supported range); no dose is given
+ * outside the rules, and never from 18 years. Throws on a weight or age
+ * that is given but unreadable or not positive. Otherwise: dose { minMg, maxMg }, mgPerKg,
+ * timesPerDay { min, max }, maxDailyMg, unchecked (age or weight bounds
+ * not checked because that value was not given) and products, each with
+ * the amount per dose in ml or units.
+ */
+function pediatricDose(query, options = {}) {
+  const weightKg = options.weight === undefined || options.weight === null ? null : parseWeight(options.weight);
+  const ageMonths = options.age === undefined || options.age === null ? null : parseAge(options.age);
+  // A weight of 0 must not be read as "no weight given"
+  if (weightKg === null && options.weight !== undefined && options.weight !== null) {
+    throw new Error(`Weight must be a positive number of kg, not "${options.weight}"`);
+  }
+  if (ageMonths === null && options.age !== undefined && options.age !== null) {
+    throw new Error(`Age must be a number of years or months, not "${options.age}"`);
+  }
+  const result = { query, substance: null, weightKg, ageMonths, supported: false };
+
+  const med = findMedication(query);
+  if (!med) return { ...result, reason: 'notFound' };
+  const substances = med.fromDatabase ? med.substances : [med.name];
+  result.substance = substances.length === 1 ? substances[0].toLowerCase() : null;
+  const info = result.substance && CURATED_MEDICATIONS[result.substance];
+  if (!info || !info.pediatricDosing) return { ...result, reason: 'noRules' };
+
+  const { rules } = info.pediatricDosing;
+  const range = pediatricRange(rules);
+  if (weightKg === null && ageMonths === null) {
+    return { ...result, reason: rules.some(rule => rule.mgPerKg) ? 'needWeight' : 'needAge', range };
+  }
+  const fitting = rules.filter(rule => ruleFits(rule, weightKg, ageMonths));
+  if (fitting.length === 0) return { ...result, reason: 'outOfRange', range };
+  if (fitting.length > 1) return { ...result, reason: ageMonths === null ? 'needAge' : 'needWeight', range };
+  const rule = fitting[0];
+  if (rule.mgPerKg && weightKg === null) return { ...result, reason: 'needWeight', range };
+
+  let dose;
+  let maxDailyMg;
+  if (rule.mgPerKg) {
+    dose = {
+      minMg: Math.round(rule.mgPerKg.min * weightKg),
+      maxMg: Math.round(Math.min(rule.mgPerKg.max * weightKg, rule.maxSingleMg || Infinity))
+    };
+    maxDailyMg = Math.round(Math.min(
+      (rule.maxMgPerKgDaily || rule.mgPerKg.max * rule.timesPerDay.max) * weightKg,
+      rule.maxDailyMg || Infinity
+    ));
+  } else {
+    dose = { minMg: rule.doseMg, maxMg: rule.doseMg };
+    maxDailyMg = rule.maxDailyMg || rule.doseMg * rule.timesPerDay.max;
+  }
+
+  const unchecked = PEDIATRIC_BOUNDS
+    .filter(bound => rule[bound] !== undefined && (bound.endsWith('Kg') ? weightKg : ageMonths) === null)
+    .map(bound => ({ bound, value: rule[bound] }));
+
+  return {
+    ...result,
+    supported: true,
+    dose,
+    mgPerKg: rule.mgPerKg || null,
+    timesPerDay: rule.timesPerDay,
+    maxDailyMg,
+    unchecked,
+    products: pediatricProducts(result.substance, dose.minMg, dose.maxMg),
+    ...(info.pediatricDosing.note ? { note: info.pediatricDosing.note, noteSv: info.pediatricDosing.noteSv } : {})
+  };
+}
+
+const PEDIATRIC_REASON_LABELS = {
+  notFound: 'pediatricNotFound',
+  noRules: 'pediatricNoRules',
+  needWeight: 'pediatricNeedWeight',
+  needAge: 'pediatricNeedAge',
+  outOfRange: 'pediatricOutOfRange'
+};
+
+function formatNumber(value, lang) {
+  const text = String(+value.toFixed(2));
+  return lang === 'sv' ? text.replace('.', ',') : text;
+}
+
+function formatSpan(min, max, lang) {
+  return min === max ? formatNumber(min, lang) : `${formatNumber(min, lang)}–${formatNumber(max, lang)}`;
+}
+
+function formatAge(months, lang) {
+  return months < 24
+    ? label(lang, 'ageMonths', { count: formatNumber(months, lang) })
+    : label(lang, 'ageYears', { count: formatNumber(months / 12, lang) });
+}
+
+function formatBound(bound, value, lang) {
+  const amount = bound.endsWith('Kg') ? `${formatNumber(value, lang)} kg` : formatAge(value, lang);
+  return label(lang, bound.startsWith('min') ? 'fromAmount' : 'underAmount', { amount });
+}
+
+function formatPediatricRange(range, lang) {
+  const parts = [];
+  for (const [min, max] of [['minWeightKg', 'maxWeightKg'], ['minAgeMonths', 'maxAgeMonths']]) {
+    const bounds = [min, max].filter(bound => range[bound] !== null);
+    if (bounds.length > 0) parts.push(bounds.map(bound => formatBound(bound, range[bound], lang)).join(', '));
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Format pediatricDose results. Options: lang ('en' or 'sv')
+ */
+function formatPediatricDose(result, options = {}) {
+  const lang = normalizeLang(options.lang);
+  const output = [];
+  const name = result.substance ? result.substance.charAt(0).toUpperCase() + result.substance.slice(1) : result.query;
+  const child = [
+    result.weightKg !== null ? `${formatNumber(result.weightKg, lang)} kg` : null,
+    result.ageMonths !== null ? formatAge(result.ageMonths, lang) : null
+  ].filter(Boolean).join(', ');
+  output.push(`## ${label(lang, 'pediatricTitle', { name })}${child ? ` (${child})` : ''}\n`);
+
+  if (!result.supported) {
+    output.push(`❌ ${label(lang, PEDIATRIC_REASON_LABELS[result.reason], { name })}`);
+    if (result.range) {
+      output.push(`\n${label(lang, 'supportedRange', { range: formatPediatricRange(result.range, lang) })}`);
+    }
+    output.push(`\n${label(lang, 'askPharmacist')}`);
+    return output.join('\n');
+  }
+
+  const perKg = result.mgPerKg ? ` (${formatSpan(result.mgPerKg.min, result.mgPerKg.max, lang)} mg/kg)` : '';
+  output.push(`**${label(lang, 'dosePerTime')}:** ${formatSpan(result.dose.minMg, result.dose.maxMg, lang)} mg${perKg}, ${label(lang, 'timesPerDay', { times: formatSpan(result.timesPerDay.min, result.timesPerDay.max, lang) })}`);
+  output.push(`**${label(lang, 'maxDaily')}:** ${formatMg(result.maxDailyMg, lang)}`);
+  for (const { bound, value } of result.unchecked) {
+    const field = bound.endsWith('Kg') ? 'childWeight' : 'childAge';
+    output.push(`**${label(lang, field)}:** ${label(lang, 'boundNotChecked', { bound: formatBound(bound, value, lang) })}`);
+  }
+  output.push('');
+
+  output.push(`### ${label(lang, 'matchingProducts')}`);
+  if (result.products.length === 0) {
+    output.push(label(lang, 'noMatchingProducts'));
+  }
+  for (const product of result.products.slice(0, PEDIATRIC_PRODUCT_LIMIT)) {
+    const amount = product.amount.unit === 'ml'
+      ? `${formatSpan(product.amount.min, product.amount.max, lang)} ml`
+      : label(lang, 'units', { count: formatSpan(product.amount.min, product.amount.max, lang) });
+    output.push(`- **${product.name}** ${formatOtcBadge(product.otc, lang)} — ${product.strength} · ${formName(product.form, lang)}: ${amount}`);
+  }
+  if (result.products.length > PEDIATRIC_PRODUCT_LIMIT) {
+    output.push(`- *${label(lang, 'andMore', { count: result.products.length - PEDIATRIC_PRODUCT_LIMIT })}*`);
+  }
+  if (result.note) {
+    output.push(`\n*${localized(result, 'note', lang)}*`);
+  }
+
+  output.push('');
+  output.push(...formatFooter(lang, 'pediatricNote'));
+  return output.join('\n');
+}
+
+/**
+ * Check a curated medications file (default data/curated-medications.json)
+ * against its schema and the full database: ATC codes must exist and
+ * match the substance, brands should be product names
+ */
+function validateCuratedMedications(file = CURATED_FILE) {
+  return validateCuratedFile(file, FULL_DATABASE);
+}
+
+/**
+ * Export for use as module
+ */
+module.exports = {
+  lookupMedication,
+  formatMedication,
+  lookupMedicationJson,
+  toMedicationJson,
+  findMedication,
+  findByNplId,
+  searchMedications,
+  formatSearchResults,
+  searchByIndication,
+  suggestMedications,
+  checkInteraction,
+  formatInteractionCheck,
+  reviewMedicationList,
+  formatMedicationReview,
+  findDuplicateTherapies,
+  searchByAtc,
+  normalizeAtc,
+  getAtcName,
+  getAtcTree,
+  formatAtcTree,
+  findEquivalents,
+  formatEquivalents,
+  checkDose,
+  formatDoseCheck,
+  pediatricDose,
+  formatPediatricDose,
+  getFassUrl,
+  getDataAge,
+  validateCuratedMedications,
+  formatCuratedValidation,
+  CURATED_MEDICATIONS,
+  COMMON_MEDICATIONS: CURATED_MEDICATIONS, // Backward compatibility
+  FULL_DATABASE,
+  DATABASE_INFO,
+  SUBSTANCES_INDEX,
+  INTERACTIONS,
+  ATC_NAMES,
+  INDICATIONS,
+  getSearchIndex,
+  getDatabaseStats: () => ({
+    curated: Object.keys(CURATED_MEDICATIONS).length,
+    full: FULL_DATABASE.length,
+    substances: Object.keys(SUBSTANCES_INDEX).length,
+    interactions: INTERACTIONS.interactions.length,
+    schemaVersion: DATABASE_INFO.schemaVersion,
+    updated: DATABASE_INFO.updated
+  })
+};
+
+/**
+ * Stop the CLI on a broken curated file unless the command is validate
+ */
+function exitOnCuratedError(command) {
+  if (CURATED_LOAD_ERROR && command !== 'validate') {
+    console.error(`❌ Error: ${CURATED_LOAD_ERROR.message}`);
+    process.exit(1);
+  }
+}
+
+// CLI execution
+if (require.main === module && process.argv[2] === 'serve') {
+  // HTTP API server, runs until stopped
+  exitOnCuratedError('serve');
+  require('./server').main(process.argv.slice(3));
+} else if (require.main === module && process.argv[2] === 'mcp') {
+  // MCP server on stdin/stdout, runs until stdin closes
+  exitOnCuratedError('mcp');
+  require('./mcp-server').main();
+} else if (require.main === module) {
+  const args = process.argv.slice(2);
+  
+  const showHelp = () => {
+    const stats = module.exports.getDatabaseStats();
+    console.log('🇸🇪 Swedish Medications - FASS Lookup\n');
+    console.log(`Database: ${stats.curated} curated + ${stats.full} full database\n`);
+    console.log('Usage: fass-lookup <medication_name>');
+    console.log('       fass-lookup paracetamol');
+    console.log('       fass-lookup Alvedon');
+    console.log('       fass-lookup "Ipren 400 mg tablett"');
+    console.log('       fass-lookup --search "blood pressure"');
+    console.log('       fass-lookup --search ibuprofen --otc --form gel');
+    console.log('       fass-lookup --search insulin --families');
+    console.log('       fass-lookup --interact warfarin ipren');
+    console.log('       fass-lookup --review "Waran, Ipren, Sertralin, Tramadol"');
+    console.log('       fass-lookup --atc N06AB');
+    console.log('       fass-lookup --equivalents Alvedon');
+    console.log('       fass-lookup --dose "Alvedon 1 g x3, Panodil 500 mg x2"');
+    console.log('       fass-lookup --dose paracetamol --weight 18kg --age 4');
+    console.log('       fass-lookup validate');
+    console.log('       fass-lookup serve --port 8080');
+    console.log('       fass-lookup mcp\n');
+    console.log('Options:');
+    console.log('  -h, --help     Show this help message');
+    console.log('  -s, --search   Search and show multiple results (falls back to --indication)');
+    console.log('  --otc, --rx    Only OTC or only prescription medications (search)');
+    console.log('  --form <form>  Only products of a dosage form, e.g. tablett, gel (search)');
+    console.log('  --manufacturer <name>  Only products from a manufacturer (search)');
+    console.log('  --page N       Page of search results, 20 per page');
+    console.log('  --families     One search result per product, with its strengths and forms');
+    console.log('  --indication   Search by use or condition ("blood pressure", "blodtryck")');
+    console.log('  -i, --interact Check two medications for interactions');
+    console.log('  -r, --review   Check a whole medication list for interactions and duplication');
+    console.log('  --atc-level N  ATC level (1-5) for duplicate therapy checks (default 3)');
+    console.log('  --atc <code>   Browse an ATC group and list its products');
+    console.log('  --equivalents  List interchangeable products (name or nplId)');
+    console.log('  --dose         Check a regimen against maximum doses, e.g. "Alvedon 1 g x3"');
+    console.log('  --weight, --age  With --dose: children\'s dose and matching products (18kg; 4 or "8 months")');
+    console.log('  -l, --list     List curated medications with extra info');
+    console.log('  --stats        Show database statistics');
+    console.log('  --json         Print JSON instead of Markdown (any command)');
+    console.log('  --ndjson       Print one JSON result per line (search, list, ATC, equivalents)');
+    console.log('  --lang <en|sv> Output language for Markdown (default en)');
+    console.log('  validate [file] Check curated medications against the schema and database');
+    console.log('  serve          Run the JSON HTTP API (--port, default 8080; --host, default 127.0.0.1)');
+    console.log('  mcp            Run the Model Context Protocol server on stdin/stdout\n');
+  };
+  
+  const levelIdx = args.indexOf('--atc-level');
+  const atcLevel = levelIdx !== -1 ? parseInt(args[levelIdx + 1], 10) : undefined;
+  if (levelIdx !== -1) {
+    if (!ATC_LEVEL_LENGTHS[atcLevel]) {
+      console.log('Usage: --atc-level <1-5>');
+      process.exit(1);
+    }
+    args.splice(levelIdx, 2);
+  }
+  
+  const takeFlag = flag => {
+    const idx = args.indexOf(flag);
+    if (idx !== -1) args.splice(idx, 1);
+    return idx !== -1;
+  };
+  const takeValue = flag => {
+    const idx = args.indexOf(flag);
+    if (idx === -1) return undefined;
+    const value = args[idx + 1];
+    if (!value || value.startsWith('-')) {
+      console.log(`Usage: ${flag} <value>`);
+      process.exit(1);
+    }
+    args.splice(idx, 2);
+    return value;
+  };
+  
+  // Markdown output language: --lang en (default) or --lang sv
+  let lang;
+  try {
+    lang = normalizeLang(takeValue('--lang'));
+  } catch (e) {
+    console.log(`Usage: --lang <en|sv> (${e.message})`);
+    process.exit(1);
+  }
+  
+  // --json prints one JSON document, --ndjson one JSON value per line
+  // (one per result for commands that list results)
+  const ndjson = takeFlag('--ndjson');
+  const json = takeFlag('--json') || ndjson;
+  const print = (formatText, value, records) => {
+    if (ndjson) {
+      (records || [value]).forEach(record => console.log(JSON.stringify(record)));
+    } else if (json) {
+      console.log(JSON.stringify(value, null, 2));
+    } else {
+      console.log(formatText());
+    }
+  };
+  const printResults = (results, query, total = results.length, offset = 0) => {
+    const records = results.map(toMedicationJson);
+    print(() => formatSearchResults(results, query, { total, offset, lang }), { query, total, offset, results: records }, records);
+  };
+  
+  // Search filters: --otc, --rx, --form <form>, --manufacturer <name>, --page <n>
+  const searchOptions = {
+    otcOnly: takeFlag('--otc'),
+    rxOnly: takeFlag('--rx'),
+    form: takeValue('--form'),
+    manufacturer: takeValue('--manufacturer'),
+    families: takeFlag('--families')
+  };
+  const pageArg = takeValue('--page');
+  const page = pageArg === undefined ? 1 : parseInt(pageArg, 10);
+  if (!(page >= 1)) {
+    console.log('Usage: --page <number from 1>');
+    process.exit(1);
+  }
+  if (searchOptions.otcOnly && searchOptions.rxOnly) {
+    console.log('Use either --otc or --rx, not both');
+    process.exit(1);
+  }
+  const hasSearchFilters = searchOptions.otcOnly || searchOptions.rxOnly ||
+    Boolean(searchOptions.form) || Boolean(searchOptions.manufacturer);
+  const searchRequested = hasSearchFilters || searchOptions.families;
+  
+  exitOnCuratedError(args[0]);
+  
+  // One --page of indication matches, with the total of all of them
+  const indicationPage = (query, offset) => {
+    const matches = searchByIndication(query, { limit: Infinity, lang });
+    return { total: matches.length, results: matches.slice(offset, offset + SEARCH_PAGE_SIZE) };
+  };
+  const printPage = (query, { total, results }, offset) => {
+    printResults(results, query, total, offset);
+    if (!json && offset + results.length < total) {
+      console.log(label(lang, 'nextPage', { page: page + 1 }));
+    }
+  };
+  
+  const runSearch = query => {
+    const offset = (page - 1) * SEARCH_PAGE_SIZE;
+    const byName = searchMedications(query, { ...searchOptions, limit: SEARCH_PAGE_SIZE, offset });
+    printPage(query, byName.total === 0 && !hasSearchFilters ? indicationPage(query, offset) : byName, offset);
+  };
+  
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  if (args.includes('--stats')) {
+    const stats = module.exports.getDatabaseStats();
+    if (json) {
+      print(null, { ...stats, dataAge: getDataAge() });
+      process.exit(0);
+    }
+    const age = getDataAge();
+    console.log(`📊 ${label(lang, 'statsTitle')}:`);
+    console.log(`   ${label(lang, 'statsCurated')}: ${stats.curated}`);
+    console.log(`   ${label(lang, 'statsFull')}: ${stats.full}`);
+    console.log(`   ${label(lang, 'statsSubstances')}: ${stats.substances}`);
+    console.log(`   ${label(lang, 'statsInteractions')}: ${stats.interactions}`);
+    if (stats.full > 0) {
+      const updated = age ? formatDataAge(age, lang) : label(lang, 'unknown');
+      console.log(`   ${label(lang, 'statsSchema', { version: stats.schemaVersion, updated })}`);
+    }
+    process.exit(0);
+  }
+  
+  if (args[0] === 'validate') {
+    const report = validateCuratedMedications(args[1] ? path.resolve(args[1]) : CURATED_FILE);
+    print(() => formatCuratedValidation(report), report);
+    process.exit(report.valid ? 0 : 1);
+  }
+  
+  if (args.includes('-l') || args.includes('--list')) {
+    if (json) {
+      printResults(Object.entries(CURATED_MEDICATIONS).map(([name, info]) => ({ name, ...info, curated: true })), null);
+      process.exit(0);
+    }
+    console.log(`${label(lang, 'curatedList')}\n`);
+    Object.entries(CURATED_MEDICATIONS).forEach(([name, info]) => {
+      const otc = info.otc === true ? label(lang, 'yes')
+        : info.otc === false ? label(lang, 'otcNo')
+        : localized(info, 'otc', lang);
+      console.log(`${name} (${info.brands.join(', ')})`);
+      console.log(`  ${label(lang, 'use')}: ${localized(info, 'use', lang)}`);
+      console.log(`  ${label(lang, 'otc')}: ${otc}\n`);
+    });
+    process.exit(0);
+  }
+  
   if (args.includes('-s') || args.includes('--search')) {
     const searchIdx = args.indexOf('-s') !== -1 ? args.indexOf('-s') : args.indexOf('--search');
     const query = args.slice(searchIdx + 1).join(' ');
@@ -530,11 +2254,126 @@ if (require.main === module) {
       console.log('Usage: fass-lookup --search <query>');
       process.exit(1);
     }
-    const results = searchMedications(query, 20);
-    console.log(formatSearchResults(results, query));
+    runSearch(query);
+    process.exit(0);
+  }
+  
+  if (args.includes('--indication')) {
+    const query = args.slice(args.indexOf('--indication') + 1).join(' ');
+    if (!query) {
+      console.log('Usage: fass-lookup --indication <condition>');
+      process.exit(1);
+    }
+    const offset = (page - 1) * SEARCH_PAGE_SIZE;
+    printPage(query, indicationPage(query, offset), offset);
+    process.exit(0);
+  }
+  
+  if (args.includes('-i') || args.includes('--interact')) {
+    const interactIdx = args.indexOf('-i') !== -1 ? args.indexOf('-i') : args.indexOf('--interact');
+    let drugs = args.slice(interactIdx + 1);
+    if (drugs.length !== 2) {
+      drugs = drugs.join(' ').split(/\s*[+,]\s*/).filter(Boolean);
+    }
+    if (drugs.length !== 2) {
+      console.log('Usage: fass-lookup --interact <medication> <medication>');
+      console.log('       fass-lookup --interact "Waran" "Ipren"');
+      process.exit(1);
+    }
+    const result = checkInteraction(drugs[0], drugs[1]);
+    print(() => formatInteractionCheck(result, { lang }), result);
+    process.exit(0);
+  }
+  
+  if (args.includes('-r') || args.includes('--review')) {
+    const reviewIdx = args.indexOf('-r') !== -1 ? args.indexOf('-r') : args.indexOf('--review');
+    const rest = args.slice(reviewIdx + 1);
+    const names = rest.some(arg => arg.includes(','))
+      ? rest.join(' ').split(',')
+      : rest;
+    if (names.filter(name => name.trim()).length < 2) {
+      console.log('Usage: fass-lookup --review "<medication>, <medication>, ..."');
+      process.exit(1);
+    }
+    const report = reviewMedicationList(names, { atcLevel });
+    print(() => formatMedicationReview(report, { lang }), report);
+    process.exit(0);
+  }
+  
+  if (args.includes('--dose')) {
+    // With --weight or --age: children's dose of one medication
+    const weight = takeValue('--weight');
+    const age = takeValue('--age');
+    const rest = args.slice(args.indexOf('--dose') + 1);
+    if (weight !== undefined || age !== undefined) {
+      const medication = rest.join(' ').trim();
+      if (!medication || (weight !== undefined && parseWeight(weight) === null) || (age !== undefined && parseAge(age) === null)) {
+        console.log('Usage: fass-lookup --dose <medication> --weight <kg> [--age <years, or "8 months">]');
+        console.log('       fass-lookup --dose paracetamol --weight 18kg');
+        process.exit(1);
+      }
+      const result = pediatricDose(medication, { weight, age });
+      print(() => formatPediatricDose(result, { lang }), result);
+      process.exit(0);
+    }
+    // "Alvedon 1 g x3, Panodil 500 mg x2"; decimal commas have no space after them
+    const regimen = rest.join(' ').split(/,\s+|;\s*/).filter(entry => entry.trim());
+    if (regimen.length === 0) {
+      console.log('Usage: fass-lookup --dose "<medication> <strength> x<times per day>, ..."');
+      console.log('       fass-lookup --dose "Alvedon 1 g x3, Panodil 500 mg 2 tablets x2"');
+      process.exit(1);
+    }
+    const result = checkDose(regimen);
+    print(() => formatDoseCheck(result, { lang }), result);
+    process.exit(0);
+  }
+  
+  if (args.includes('--atc')) {
+    const code = args[args.indexOf('--atc') + 1];
+    if (!code) {
+      console.log('Usage: fass-lookup --atc <code>   (e.g. N, N06, N06A, N06AB, N06AB06)');
+      process.exit(1);
+    }
+    let tree;
+    try {
+      tree = getAtcTree(code);
+    } catch (e) {
+      print(() => e.message, { error: e.message });
+      process.exit(1);
+    }
+    const products = searchByAtc(code);
+    if (json) {
+      const records = products.map(toMedicationJson);
+      print(null, { query: tree.code, tree, total: records.length, offset: 0, results: records }, records);
+      process.exit(0);
+    }
+    console.log(formatAtcTree(tree, { lang }));
+    // Chemical subgroups and substances are always listed in full
+    if (tree.level < 4 && products.length > ATC_PRODUCT_LIST_LIMIT) {
+      console.log(label(lang, 'atcTooMany', { count: products.length, code: tree.code }));
+    } else {
+      console.log(formatSearchResults(products, tree.code, { lang }));
+    }
+    process.exit(0);
+  }
+  
+  if (args.includes('--equivalents')) {
+    const query = args.slice(args.indexOf('--equivalents') + 1).join(' ');
+    if (!query) {
+      console.log('Usage: fass-lookup --equivalents <product name or nplId>');
+      process.exit(1);
+    }
+    const result = findEquivalents(query);
+    print(() => formatEquivalents(result, { lang }), result, result.groups);
     process.exit(0);
   }
   
   const query = args.join(' ');
-  console.log(lookupMedication(query));
+  if (searchRequested) {
+    runSearch(query);
+  } else if (json) {
+    print(null, lookupMedicationJson(query));
+  } else {
+    console.log(lookupMedication(query, { lang }));
+  }
 }
@@ -9,12 +9,16 @@ Usage:
     python3 fass_lookup.py "alvedon 500mg"
 """
 
+import os
 import sys
 import json
 import urllib.request
 import urllib.parse
 import re
 
+# Shared with fass_lookup.js
+CURATED_FILE = os.path.join(os.path.dirname(os.path.abspath(__file__)), '..', 'data', 'curated-medications.json')
+
 def search_fass_web(query: str) -> dict:
     """Search FASS website and extract results."""
     encoded_query = urllib.parse.quote(query)
@@ -27,65 +31,9 @@ def search_fass_web(query: str) -> dict:
     }
 
 def get_common_medications() -> dict:
-    """Return quick reference for common Swedish medications."""
-    return {
-        'paracetamol': {
-            'brands': ['Alvedon', 'Panodil', 'Pamol'],
-            'use': 'Pain relief, fever reduction',
-            'dose': 'Adult: 500-1000mg every 4-6h, max 4g/day',
-            'otc': True,
-            'warnings': 'Avoid with liver disease, limit alcohol'
-        },
-        'ibuprofen': {
-            'brands': ['Ipren', 'Ibumetin', 'Brufen'],
-            'use': 'Pain, inflammation, fever',
-            'dose': 'Adult: 200-400mg every 4-6h, max 1200mg/day (OTC)',
-            'otc': True,
-            'warnings': 'Take with food, avoid if stomach ulcers or kidney issues'
-        },
-        'omeprazol': {
-            'brands': ['Losec', 'Omeprazol'],
-            'use': 'Acid reflux, stomach ulcers, GERD',
-            'dose': 'Adult: 20mg once daily',
-            'otc': 'Low dose OTC, higher doses Rx',
-            'warnings': 'Long-term use may affect B12/magnesium'
-        },
-        'sertralin': {
-            'brands': ['Zoloft', 'Sertralin'],
-            'use': 'Depression, anxiety, OCD, PTSD',
-            'dose': 'Adult: Start 50mg/day, may increase',
-            'otc': False,
-            'warnings': 'Takes 2-4 weeks for effect, do not stop abruptly'
-        },
-        'metformin': {
-            'brands': ['Metformin', 'Glucophage'],
-            'use': 'Type 2 diabetes',
-            'dose': 'Adult: Start 500mg 1-2x/day with food',
-            'otc': False,
-            'warnings': 'Monitor kidney function, stop before contrast imaging'
-        },
-        'atorvastatin': {
-            'brands': ['Lipitor', 'Atorvastatin'],
-            'use': 'High cholesterol, cardiovascular prevention',
-            'dose': 'Adult: 10-80mg once daily',
-            'otc': False,
-            'warnings': 'Report muscle pain, avoid grapefruit'
-        },
-        'loratadin': {
-            'brands': ['Clarityn', 'Loratadin'],
-            'use': 'Allergies, hay fever, hives',
-            'dose': 'Adult: 10mg once daily',
-            'otc': True,
-            'warnings': 'Non-drowsy antihistamine'
-        },
-        'cetirizin': {
-            'brands': ['Zyrtec', 'Cetirizin'],
-            'use': 'Allergies, hay fever, hives',
-            'dose': 'Adult: 10mg once daily',
-            'otc': True,
-            'warnings': 'May cause slight drowsiness'
-        }
-    }
+    """Return quick reference for common Swedish medications (data/curated-medications.json)."""
+    with open(CURATED_FILE, encoding='utf-8') as f:
+        return json.load(f)['medications']
 
 def lookup_medication(query: str) -> str:
     """Look up medication information."""
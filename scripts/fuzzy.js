@@ -0,0 +1,97 @@
+/**
+ * Fuzzy Matching Helpers
+ * Typo-tolerant, diacritic-aware comparison of medication names.
+ *
+ * Both sides of a comparison go through the same normalization, so
+ * "sertraline", "Sertralin" and "SERTRALIN" all become "sertralin", and
+ * "lakemedel" matches "läkemedel".
+ */
+
+// English spellings rewritten to their Swedish equivalents
+const SPELLING_RULES = [
+  [/ph/g, 'f'],
+  [/th/g, 't'],
+  [/ck/g, 'k'],
+  [/c/g, 'k'],
+  [/qu/g, 'kv'],
+  [/z/g, 's'],
+  // -ine/-ide/-ole/-one/-ate -> -in/-id/-ol/-on/-at (sertraline -> sertralin)
+  [/([^aeiouy\s])e\b/g, '$1']
+];
+
+/**
+ * Strip diacritics (å, ä, ö, é, ü) and lowercase
+ */
+function foldDiacritics(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normalize a name for fuzzy comparison: folded diacritics, Swedish
+ * spelling and collapsed whitespace
+ */
+function normalizeForMatch(text) {
+  let normalized = foldDiacritics(text).replace(/[^a-z0-9]+/g, ' ').trim();
+  for (const [pattern, replacement] of SPELLING_RULES) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized;
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, with an early
+ * exit once every cell in a row exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Edit distance accepted as a typo for a query of this length
+ */
+function typoThreshold(length) {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+}
+
+/**
+ * Looser distance used for "did you mean" suggestions
+ */
+function suggestionThreshold(length) {
+  return Math.max(typoThreshold(length), Math.floor(length * 0.4));
+}
+
+module.exports = {
+  foldDiacritics,
+  normalizeForMatch,
+  editDistance,
+  typoThreshold,
+  suggestionThreshold
+};
@@ -0,0 +1,342 @@
+/**
+ * Output Language
+ * English and Swedish labels for the Markdown output, localized curated
+ * texts and English names for the Swedish dosage forms in the database
+ * (data/dosage-forms.json).
+ *
+ *   label('sv', 'showing', { from: 1, to: 20, total: 45 }) -> "Visar 1–20 av 45"
+ *   formName('Filmdragerad tablett', 'en')                 -> "Film-coated tablet"
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LANGUAGES = ['en', 'sv'];
+const DEFAULT_LANG = 'en';
+const DOSAGE_FORMS_FILE = path.join(__dirname, '..', 'data', 'dosage-forms.json');
+
+// Labels are "{name}" templates, or functions for plurals
+const LABELS = {
+  en: {
+    // Medication
+    activeSubstances: 'Active substances',
+    use: 'Use',
+    dosage: 'Dosage',
+    form: 'Form',
+    strength: 'Strength',
+    otc: 'OTC',
+    otcYes: 'Yes (receptfritt)',
+    otcNo: 'No (receptbelagt)',
+    atcCode: 'ATC Code',
+    warnings: 'Warnings',
+    manufacturer: 'Manufacturer',
+    manufacturers: 'Manufacturers',
+    productsHeading: 'Products in Sweden',
+    productSplit: '{otc} OTC, {rx} Rx',
+    andMore: 'and {count} more',
+    yes: 'Yes',
+    unknown: 'unknown',
+
+    // Lookup
+    lookupTitle: 'Swedish Medication Lookup: {query}',
+    correctedFrom: 'Showing results for "{name}" (no exact match for "{query}")',
+    unmatched: 'No product with "{unmatched}" found, showing "{name}"',
+    databaseUpdated: 'Database updated {updated}',
+    daysAgo: days => (days === 1 ? '1 day ago' : `${days} days ago`),
+    noQuickInfo: 'No quick info available for "{query}" in database.',
+    didYouMean: 'Did you mean: {names}?',
+    fassHeading: 'Full Information on FASS',
+    disclaimer: 'This is informational only. Always consult healthcare professionals for medical advice.',
+    sources: 'Sources: FASS.se, Läkemedelsverket',
+
+    // Search
+    noResults: 'No medications found for "{query}".',
+    noMoreResults: 'No more medications for "{query}" ({total} in total).',
+    foundResults: 'Found {total} medication(s) for "{query}"',
+    showing: 'Showing {from}–{to} of {total}',
+    nextPage: 'Next page: --page {page}',
+    badgeOtc: 'OTC',
+    badgeRx: 'Rx',
+    badgeMixed: 'OTC/Rx',
+    products: count => (count === 1 ? '1 product' : `${count} products`),
+    matchedUse: 'Use: {use}',
+
+    // CLI
+    curatedList: 'Curated medications (with extra info):',
+    statsTitle: 'Database Statistics',
+    statsCurated: 'Curated medications (with dosage/warnings)',
+    statsFull: 'Full database entries',
+    statsSubstances: 'Indexed substances',
+    statsInteractions: 'Curated interactions',
+    statsSchema: 'Database schema: v{version}, updated {updated}',
+
+    // Interactions
+    interactionTitle: 'Interaction Check: {a} + {b}',
+    severity: 'Severity',
+    between: 'Between',
+    rule: 'Rule',
+    atcGroupRule: ' (ATC group)',
+    mechanism: 'Mechanism',
+    description: 'Description',
+    recommendation: 'Recommendation',
+    noInteraction: 'No known interaction between "{a}" and "{b}" in the curated interaction list.',
+    noInteractions: 'No known interactions between these medications in the curated interaction list.',
+    notRuledOut: 'This does not rule out an interaction. Check Janusmed or ask a pharmacist.',
+
+    // Medication review
+    reviewTitle: 'Medication Review ({count} medications)',
+    medications: 'Medications',
+    interactionsFound: 'Interactions found',
+    duplicationHeading: 'Therapeutic Duplication',
+    sameSubstance: 'Same substance ({group})',
+    sameAtcGroup: 'Same ATC group {group}',
+    notFoundHeading: 'Not Found',
+    notChecked: 'These entries could not be matched and were not checked:',
+
+    // ATC
+    atcUnnamed: 'Unnamed group',
+    atcProducts: count => `[${count} products]`,
+    atcTooMany: '{count} products in {code}. Narrow down to a subgroup above to list them.',
+
+    // Equivalents
+    equivalentsTitle: 'Interchangeable Products: {query}',
+    noProductNamed: 'No product named "{query}" found in the database.',
+    thisProduct: 'This product',
+    rxStatus: 'Rx (receptbelagt)',
+    otcStatus: 'OTC (receptfritt)',
+    strengthUnknown: 'Strength unknown, cannot match interchangeable products.',
+    noAlternatives: 'No interchangeable products with the same substance, strength and form.',
+    equivalentsNote: 'Interchangeable = same active substance, strength and form. The pharmacy decides on substitution; ask your pharmacist.',
+
+    // Dose check
+    doseTitle: 'Dose Check ({population})',
+    notCheckedHeading: 'Not Checked',
+    adult: 'adults',
+    child: 'children',
+    day: 'day',
+    perDay: '{amount}/day',
+    maxPerDay: 'max {amount}/day',
+    overDaily: 'Exceeds the maximum daily dose by {amount}',
+    overSingle: 'Single dose above the maximum of {amount}: {entries}',
+    noDoseLimit: 'No maximum dose on file for this substance; check FASS.',
+    reasonNotFound: 'not found',
+    reasonNoStrength: 'state the strength, e.g. "Alvedon 500 mg"',
+    reasonNotMass: 'strength is not per tablet or capsule (liquid, gel)',
+    reasonNoFrequency: 'how many times a day? e.g. "x3"',
+    doseNote: 'Maximum doses from the curated list. Follow the prescription or package leaflet, and ask a pharmacist if unsure.',
+
+    // Children's dose
+    pediatricTitle: "Children's Dose: {name}",
+    dosePerTime: 'Dose',
+    timesPerDay: ({ times }) => (times === '1' ? 'once a day' : `${times} times a day`),
+    maxDaily: 'Max per day',
+    childAge: 'Age',
+    childWeight: 'Weight',
+    boundNotChecked: '{bound} (not checked)',
+    fromAmount: 'from {amount}',
+    underAmount: 'under {amount}',
+    ageMonths: '{count} months',
+    ageYears: '{count} years',
+    units: '{count} per dose',
+    matchingProducts: 'Matching Products',
+    noMatchingProducts: 'No product in the database has a strength that gives this dose; ask a pharmacist.',
+    supportedRange: 'Supported: {range}',
+    askPharmacist: 'Ask a doctor, a pharmacist or 1177 for advice.',
+    pediatricNotFound: 'Medication not found.',
+    pediatricNoRules: "No children's dosing for {name} in the curated list.",
+    pediatricNeedWeight: "State the child's weight, e.g. --weight 18kg.",
+    pediatricNeedAge: "State the child's age, e.g. --age 4 (years) or --age \"8 months\".",
+    pediatricOutOfRange: "The child's weight or age is outside the dosing rules for {name}.",
+    pediatricNote: "Children's doses from the curated list. Check the dose against the package leaflet, and use the measuring device that comes with the medicine."
+  },
+
+  sv: {
+    activeSubstances: 'Aktiva substanser',
+    use: 'Användning',
+    dosage: 'Dosering',
+    form: 'Beredningsform',
+    strength: 'Styrka',
+    otc: 'Receptfritt',
+    otcYes: 'Ja',
+    otcNo: 'Nej (receptbelagt)',
+    atcCode: 'ATC-kod',
+    warnings: 'Varningar',
+    manufacturer: 'Tillverkare',
+    manufacturers: 'Tillverkare',
+    productsHeading: 'Produkter i Sverige',
+    productSplit: '{otc} receptfria, {rx} receptbelagda',
+    andMore: 'och {count} till',
+    yes: 'Ja',
+    unknown: 'okänt',
+
+    lookupTitle: 'Läkemedelsuppslag: {query}',
+    correctedFrom: 'Visar resultat för "{name}" (ingen exakt träff för "{query}")',
+    unmatched: 'Ingen produkt med "{unmatched}" hittades, visar "{name}"',
+    databaseUpdated: 'Databasen uppdaterad {updated}',
+    daysAgo: days => (days === 1 ? 'för 1 dag sedan' : `för ${days} dagar sedan`),
+    noQuickInfo: 'Ingen snabbinformation om "{query}" i databasen.',
+    didYouMean: 'Menade du: {names}?',
+    fassHeading: 'Fullständig information på FASS',
+    disclaimer: 'Endast information. Rådfråga alltid hälso- och sjukvårdspersonal vid medicinska frågor.',
+    sources: 'Källor: FASS.se, Läkemedelsverket',
+
+    noResults: 'Inga läkemedel hittades för "{query}".',
+    noMoreResults: 'Inga fler läkemedel för "{query}" ({total} totalt).',
+    foundResults: 'Hittade {total} läkemedel för "{query}"',
+    showing: 'Visar {from}–{to} av {total}',
+    nextPage: 'Nästa sida: --page {page}',
+    badgeOtc: 'Receptfritt',
+    badgeRx: 'Receptbelagt',
+    badgeMixed: 'Receptfritt/receptbelagt',
+    products: count => (count === 1 ? '1 produkt' : `${count} produkter`),
+    matchedUse: 'Användning: {use}',
+
+    curatedList: 'Kurerade läkemedel (med extra information):',
+    statsTitle: 'Databasstatistik',
+    statsCurated: 'Kurerade läkemedel (med dosering/varningar)',
+    statsFull: 'Produkter i databasen',
+    statsSubstances: 'Indexerade substanser',
+    statsInteractions: 'Kurerade interaktioner',
+    statsSchema: 'Databasschema: v{version}, uppdaterad {updated}',
+
+    interactionTitle: 'Interaktionskontroll: {a} + {b}',
+    severity: 'Allvarlighetsgrad',
+    between: 'Mellan',
+    rule: 'Regel',
+    atcGroupRule: ' (ATC-grupp)',
+    mechanism: 'Mekanism',
+    description: 'Beskrivning',
+    recommendation: 'Rekommendation',
+    noInteraction: 'Ingen känd interaktion mellan "{a}" och "{b}" i den kurerade interaktionslistan.',
+    noInteractions: 'Inga kända interaktioner mellan dessa läkemedel i den kurerade interaktionslistan.',
+    notRuledOut: 'Det utesluter inte en interaktion. Kontrollera i Janusmed eller fråga på apoteket.',
+
+    reviewTitle: 'Läkemedelsgenomgång ({count} läkemedel)',
+    medications: 'Läkemedel',
+    interactionsFound: 'Interaktioner',
+    duplicationHeading: 'Dubbelbehandling',
+    sameSubstance: 'Samma substans ({group})',
+    sameAtcGroup: 'Samma ATC-grupp {group}',
+    notFoundHeading: 'Hittades inte',
+    notChecked: 'Dessa kunde inte matchas och kontrollerades inte:',
+
+    atcUnnamed: 'Namnlös grupp',
+    atcProducts: count => (count === 1 ? '[1 produkt]' : `[${count} produkter]`),
+    atcTooMany: '{count} produkter i {code}. Välj en undergrupp ovan för att lista dem.',
+
+    equivalentsTitle: 'Utbytbara produkter: {query}',
+    noProductNamed: 'Ingen produkt med namnet "{query}" hittades i databasen.',
+    thisProduct: 'Denna produkt',
+    rxStatus: 'Receptbelagt',
+    otcStatus: 'Receptfritt',
+    strengthUnknown: 'Okänd styrka, kan inte matcha utbytbara produkter.',
+    noAlternatives: 'Inga utbytbara produkter med samma substans, styrka och beredningsform.',
+    equivalentsNote: 'Utbytbar = samma aktiva substans, styrka och beredningsform. Apoteket beslutar om utbyte; fråga på apoteket.',
+
+    doseTitle: 'Doskontroll ({population})',
+    notCheckedHeading: 'Ej kontrollerade',
+    adult: 'vuxna',
+    child: 'barn',
+    day: 'dygn',
+    perDay: '{amount}/dygn',
+    maxPerDay: 'max {amount}/dygn',
+    overDaily: 'Överskrider maximal dygnsdos med {amount}',
+    overSingle: 'Engångsdos över maximala {amount}: {entries}',
+    noDoseLimit: 'Ingen maxdos registrerad för substansen; kontrollera i FASS.',
+    reasonNotFound: 'hittades inte',
+    reasonNoStrength: 'ange styrka, t.ex. "Alvedon 500 mg"',
+    reasonNotMass: 'styrkan är inte per tablett eller kapsel (vätska, gel)',
+    reasonNoFrequency: 'hur många gånger per dygn? t.ex. "x3"',
+    doseNote: 'Maxdoser från den kurerade listan. Följ ordinationen eller bipacksedeln och fråga på apoteket vid osäkerhet.',
+
+    pediatricTitle: 'Dos för barn: {name}',
+    dosePerTime: 'Dos',
+    timesPerDay: ({ times }) => (times === '1' ? '1 gång per dygn' : `${times} gånger per dygn`),
+    maxDaily: 'Max per dygn',
+    childAge: 'Ålder',
+    childWeight: 'Vikt',
+    boundNotChecked: '{bound} (ej kontrollerat)',
+    fromAmount: 'från {amount}',
+    underAmount: 'under {amount}',
+    ageMonths: '{count} månader',
+    ageYears: '{count} år',
+    units: '{count} per dos',
+    matchingProducts: 'Passande produkter',
+    noMatchingProducts: 'Ingen produkt i databasen har en styrka som ger dosen; fråga på apoteket.',
+    supportedRange: 'Gäller: {range}',
+    askPharmacist: 'Fråga läkare, apotek eller 1177 om råd.',
+    pediatricNotFound: 'Läkemedlet hittades inte.',
+    pediatricNoRules: 'Ingen barndosering för {name} i den kurerade listan.',
+    pediatricNeedWeight: 'Ange barnets vikt, t.ex. --weight 18kg.',
+    pediatricNeedAge: 'Ange barnets ålder, t.ex. --age 4 (år) eller --age "8 mån".',
+    pediatricOutOfRange: 'Barnets vikt eller ålder ligger utanför doseringsreglerna för {name}.',
+    pediatricNote: 'Barndoser från den kurerade listan. Kontrollera dosen mot bipacksedeln och använd doseringsmåttet som följer med läkemedlet.'
+  }
+};
+
+let DOSAGE_FORMS = null;
+
+/**
+ * Check a language option; undefined means English
+ */
+function normalizeLang(lang) {
+  if (lang === undefined || lang === null) return DEFAULT_LANG;
+  const normalized = String(lang).trim().toLowerCase();
+  if (!LANGUAGES.includes(normalized)) {
+    throw new Error(`Unsupported language "${lang}", use ${LANGUAGES.join(' or ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Label text in a language, with {name} placeholders filled from values
+ * (a number for plural labels)
+ */
+function label(lang, key, values = {}) {
+  const text = LABELS[normalizeLang(lang)][key];
+  if (typeof text === 'function') return text(values);
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * A curated text field in a language: Swedish texts are stored as
+ * `<field>Sv` next to the English field
+ */
+function localized(entry, field, lang) {
+  const sv = entry[`${field}Sv`];
+  return normalizeLang(lang) === 'sv' && sv ? sv : entry[field];
+}
+
+function getDosageForms() {
+  if (!DOSAGE_FORMS) {
+    DOSAGE_FORMS = fs.existsSync(DOSAGE_FORMS_FILE)
+      ? JSON.parse(fs.readFileSync(DOSAGE_FORMS_FILE, 'utf8'))
+      : {};
+  }
+  return DOSAGE_FORMS;
+}
+
+/**
+ * Dosage form name in a language. Forms are Swedish in the data; unknown
+ * forms stay Swedish. Combined forms ("Salva + vaginaltablett") are
+ * translated part by part.
+ */
+function formName(form, lang) {
+  if (!form || normalizeLang(lang) === 'sv') return form;
+  const forms = getDosageForms();
+  if (forms[form]) return forms[form];
+  const parts = form.split(' + ');
+  return parts.length > 1 && parts.every(part => forms[part])
+    ? parts.map(part => forms[part]).join(' + ')
+    : form;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANG,
+  LABELS,
+  normalizeLang,
+  label,
+  localized,
+  formName
+};
@@ -0,0 +1,132 @@
+/**
+ * JSON Schema Validator
+ * Checks values against the JSON Schema (draft-07) subset the schemas in
+ * schema/ use: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, minLength, pattern, minimum,
+ * exclusiveMinimum, maximum, anyOf, oneOf, not and local "#/definitions/..." references.
+ * Anything else in a schema is ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schema');
+
+/**
+ * Read a schema from schema/, e.g. loadSchema('medication-result')
+ */
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  const match = /^#\/definitions\/(.+)$/.exec(ref);
+  if (!match || !root.definitions || !root.definitions[match[1]]) {
+    throw new Error(`Unresolvable schema reference "${ref}"`);
+  }
+  return root.definitions[match[1]];
+}
+
+function check(schema, value, where, root, errors) {
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, where, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${where}: must be more than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${where}[${i}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        check(properties[key], item, `${where}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, item, `${where}.${key}`, root, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validate(option, value, root).length === 0)) {
+    errors.push(`${where}: does not match any allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(option => validate(option, value, root).length === 0).length !== 1) {
+    errors.push(`${where}: must match exactly one allowed schema`);
+  }
+  if (schema.not && validate(schema.not, value, root).length === 0) {
+    errors.push(`${where}: matches a schema it must not match`);
+  }
+}
+
+/**
+ * Validate a value; returns a list of error messages, empty when valid.
+ * Messages start with the path of the offending value, e.g. "$.results[2].atc".
+ */
+function validate(schema, value, root = schema) {
+  const errors = [];
+  check(schema, value, '$', root, errors);
+  return errors;
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  loadSchema,
+  validate
+};
@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * MCP Server
+ * Model Context Protocol server over stdio, so agents can call lookups as
+ * tools and get structured results instead of parsing CLI Markdown.
+ *
+ * Usage:
+ *   fass-lookup mcp
+ *   node mcp-server.js
+ *
+ * Messages are newline-delimited JSON-RPC 2.0 on stdin/stdout; stdout
+ * carries nothing else. Tool results have `structuredContent` plus the
+ * same JSON as text, and medications use the schema in
+ * schema/medication-result.schema.json.
+ */
+
+const readline = require('readline');
+const { version } = require('../package.json');
+const { loadSchema, validate } = require('./json-schema');
+const {
+  lookupMedicationJson,
+  toMedicationJson,
+  searchMedications,
+  searchByIndication,
+  searchByAtc,
+  getAtcTree,
+  findEquivalents,
+  checkDose,
+  pediatricDose,
+  reviewMedicationList,
+  getFassUrl
+} = require('./fass_lookup');
+
+// Newest first; an unknown client version is answered with the newest
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'swedish-medications', version };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const RESULT_SCHEMA = loadSchema('medication-result');
+const MAX_LIMIT = 100;
+
+/**
+ * Output schema for one definition of the result schema; the definitions
+ * come along so its references resolve
+ */
+function outputSchema(definition) {
+  const { description, ...schema } = RESULT_SCHEMA.definitions[definition];
+  return { ...schema, definitions: RESULT_SCHEMA.definitions };
+}
+
+function stringParam(description) {
+  return { type: 'string', minLength: 1, description };
+}
+
+function pageProperties() {
+  return {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: 'Results per page (default 10)' },
+    offset: { type: 'integer', minimum: 0, description: 'Results to skip' }
+  };
+}
+
+function resultList(query, records, offset = 0) {
+  return { query, total: records.length, offset, results: records.map(toMedicationJson) };
+}
+
+/**
+ * Tools: name, description, inputSchema, optional outputSchema and the
+ * handler called with the validated arguments
+ */
+const TOOLS = [
+  {
+    name: 'lookup_medication',
+    description: 'Look up one Swedish medication by brand or substance name, optionally with strength and form ("Alvedon", "Ipren 400 mg tablett"). Returns the best match and spelling suggestions.',
+    inputSchema: {
+      type: 'object',
+      properties: { query: stringParam('Medication name, optionally with strength and form') },
+      required: ['query'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema('lookup'),
+    handler: ({ query }) => lookupMedicationJson(query)
+  },
+  {
+    name: 'search_medications',
+    description: 'Search Swedish medications by name or substance, with filters and paging. Use families to get one result per product with its strengths and forms.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: stringParam('Name or substance, e.g. "ibuprofen"'),
+        ...pageProperties(),
+        otcOnly: { type: 'boolean', description: 'Only over-the-counter medications' },
+        rxOnly: { type: 'boolean', description: 'Only prescription medications' },
+        form: stringParam('Dosage form, e.g. "tablett", "gel"'),
+        manufacturer: stringParam('Manufacturer name or part of it'),
+        atcPrefix: stringParam('ATC code prefix, e.g. "M01A"'),
+        families: { type: 'boolean', description: 'Group products sharing a name' }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema('resultList'),
+    handler: ({ query, ...options }) => {
+      const offset = options.offset || 0;
+      const page = searchMedications(query, options);
+      return { query, total: page.total, offset, results: page.results.map(toMedicationJson) };
+    }
+  },
+  {
+    name: 'search_by_indication',
+    description: 'Find medications for a use or condition, in English or Swedish ("blood pressure", "blodtryck", "ADHD").',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: stringParam('Use or condition'),
+        limit: pageProperties().limit
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema('resultList'),
+    handler: ({ query, limit = 10 }) => resultList(query, searchByIndication(query, limit))
+  },
+  {
+    name: 'browse_atc',
+    description: 'Browse an ATC group ("N06AB" = SSRIs): its names, place in the hierarchy, subgroups and a page of its products.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        code: stringParam('ATC code, 1 to 7 characters'),
+        ...pageProperties()
+      },
+      required: ['code'],
+      additionalProperties: false
+    },
+    outputSchema: outputSchema('resultList'),
+    handler: ({ code, limit = 10, offset = 0 }) => {
+      const tree = getAtcTree(code);
+      if (!tree.en && !tree.sv && tree.count === 0) throw new Error(`Unknown ATC code ${tree.code}`);
+      const products = searchByAtc(tree.code);
+      return {
+        ...resultList(tree.code, products.slice(offset, offset + limit), offset),
+        total: products.length,
+        tree
+      };
+    }
+  },
+  {
+    name: 'check_interactions',
+    description: 'Check a medication list for interactions (severity A-D) and therapeutic duplication. No interaction found means the curated list has no entry, not that the combination is safe.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        medications: {
+          type: 'array',
+          items: stringParam('Brand or substance name'),
+          minItems: 2,
+          description: 'Two or more medications'
+        },
+        atcLevel: { type: 'integer', minimum: 1, maximum: 5, description: 'ATC level for duplicate therapy checks (default 3)' }
+      },
+      required: ['medications'],
+      additionalProperties: false
+    },
+    handler: ({ medications, atcLevel }) => reviewMedicationList(medications, { atcLevel })
+  },
+  {
+    name: 'find_equivalents',
+    description: 'List interchangeable products (same substances, strength and form) for generic substitution.',
+    inputSchema: {
+      type: 'object',
+      properties: { product: stringParam('Product name with optional strength, or nplId') },
+      required: ['product'],
+      additionalProperties: false
+    },
+    handler: ({ product }) => findEquivalents(product)
+  },
+  {
+    name: 'check_dose',
+    description: 'Check a dosing regimen against curated maximum doses for adults. The same substance is summed across brands (Alvedon + Panodil) and combination products. Substances without a limit on file are reported as noLimit, not as safe.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        regimen: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              medication: stringParam('Name with strength, e.g. "Alvedon 1 g"'),
+              timesPerDay: { type: 'integer', minimum: 1, maximum: 24 },
+              unitsPerDose: { type: 'integer', minimum: 1, description: 'Tablets or capsules per dose (default 1)' }
+            },
+            required: ['medication', 'timesPerDay'],
+            additionalProperties: false
+          },
+          minItems: 1
+        }
+      },
+      required: ['regimen'],
+      additionalProperties: false
+    },
+    handler: ({ regimen }) => checkDose(regimen)
+  },
+  {
+    name: 'pediatric_dose',
+    description: 'Children\'s dose of an OTC medication (paracetamol, ibuprofen, loratadin, cetirizin, desloratadin or a brand of them) from the child\'s weight and/or age, with matching products and how much of each to give. Refuses (supported: false, with a reason) outside the curated dosing rules; never estimate a dose then.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        medication: stringParam('Substance or brand, e.g. "paracetamol" or "Ipren"'),
+        weightKg: { type: 'number', exclusiveMinimum: 0, description: 'Body weight in kg' },
+        ageYears: { type: 'number', minimum: 0, description: 'Age in years; use fractions for babies (0.5 = 6 months)' }
+      },
+      required: ['medication'],
+      additionalProperties: false
+    },
+    handler: ({ medication, weightKg, ageYears }) => pediatricDose(medication, { weight: weightKg, age: ageYears })
+  },
+  {
+    name: 'get_fass_url',
+    description: 'FASS.se search link for the complete official information on a medication.',
+    inputSchema: {
+      type: 'object',
+      properties: { query: stringParam('Medication name') },
+      required: ['query'],
+      additionalProperties: false
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { query: { type: 'string' }, fassUrl: { type: 'string' } },
+      required: ['query', 'fassUrl'],
+      additionalProperties: false
+    },
+    handler: ({ query }) => ({ query, fassUrl: getFassUrl(query) })
+  }
+];
+
+/**
+ * Error for a JSON-RPC error response
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function callTool(params) {
+  const tool = TOOLS.find(t => t.name === (params && params.name));
+  if (!tool) throw rpcError(INVALID_PARAMS, `Unknown tool "${params && params.name}"`);
+
+  const args = params.arguments || {};
+  const errors = validate(tool.inputSchema, args);
+  if (errors.length > 0) {
+    throw rpcError(INVALID_PARAMS, `Invalid arguments for ${tool.name}: ${errors.join('; ')}`);
+  }
+
+  // Failures inside the tool are results the model can read, not protocol errors
+  try {
+    const result = tool.handler(args);
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result) }],
+      structuredContent: result
+    };
+  } catch (error) {
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+}
+
+const METHODS = {
+  initialize: params => ({
+    protocolVersion: PROTOCOL_VERSIONS.includes(params && params.protocolVersion)
+      ? params.protocolVersion
+      : PROTOCOL_VERSIONS[0],
+    capabilities: { tools: { listChanged: false } },
+    serverInfo: SERVER_INFO,
+    instructions: 'Swedish medication information from FASS. Information only, not medical advice.'
+  }),
+  ping: () => ({}),
+  'tools/list': () => ({
+    tools: TOOLS.map(({ handler, ...tool }) => tool)
+  }),
+  'tools/call': callTool
+};
+
+/**
+ * Handle one parsed JSON-RPC message; returns the response, or null for
+ * notifications
+ */
+function handleMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) ||
+      message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    const id = message && message.id !== undefined ? message.id : null;
+    return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+  }
+
+  // Notifications (notifications/initialized, notifications/cancelled) need no answer
+  if (message.id === undefined) return null;
+
+  const method = METHODS[message.method];
+  if (!method) {
+    return { jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Unknown method "${message.method}"` } };
+  }
+  try {
+    return { jsonrpc: '2.0', id: message.id, result: method(message.params) };
+  } catch (error) {
+    const code = typeof error.code === 'number' ? error.code : -32603; // Internal error
+    return { jsonrpc: '2.0', id: message.id, error: { code, message: error.message } };
+  }
+}
+
+/**
+ * Handle one line of input; returns the response line or null
+ */
+function handleLine(line) {
+  if (!line.trim()) return null;
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+  }
+  const response = handleMessage(message);
+  return response ? JSON.stringify(response) : null;
+}
+
+/**
+ * Serve on stdin/stdout until stdin closes
+ */
+function main(input = process.stdin, output = process.stdout) {
+  const lines = readline.createInterface({ input, terminal: false });
+  lines.on('line', line => {
+    const response = handleLine(line);
+    if (response) output.write(response + '\n');
+  });
+  return lines;
+}
+
+module.exports = {
+  TOOLS,
+  PROTOCOL_VERSIONS,
+  handleMessage,
+  handleLine,
+  main
+};
+
+if (require.main === module) {
+  main();
+}
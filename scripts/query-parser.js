@@ -0,0 +1,217 @@
+/**
+ * Query Parser
+ * Splits a lookup query into product name, strength and form:
+ *
+ *   "alvedon 500mg"        -> name "alvedon", strength 500 mg
+ *   "Ipren 400 mg tablett" -> name "Ipren", strength 400 mg, form "tablett"
+ *   "Ipren gel"            -> name "Ipren", form "gel"
+ *
+ * fass_lookup.js uses the parts to pick a specific product from the full
+ * database; a query without strength or form is just a name.
+ */
+
+const { parseStrength } = require('./strength');
+
+// Words that name a dosage form; "tablett" also matches "Filmdragerad tablett"
+const FORM_WORDS = new Set([
+  'tablett', 'filmdragerad', 'dragerad', 'depottablett', 'brustablett', 'tuggtablett',
+  'sugtablett', 'munsönderfallande', 'enterotablett', 'vaginaltablett', 'resoriblett',
+  'kapsel', 'depotkapsel', 'enterokapsel', 'hård', 'mjuk',
+  'oral', 'lösning', 'suspension', 'droppar', 'ögondroppar', 'örondroppar', 'sirap',
+  'injektionsvätska', 'infusionsvätska', 'pulver', 'spray', 'nässpray', 'munhålespray',
+  'inhalationspulver', 'inhalationsspray', 'inhalator',
+  'kräm', 'salva', 'gel', 'kutan', 'schampo', 'plåster', 'depotplåster',
+  'suppositorium', 'vagitorium', 'granulat', 'tuggummi'
+]);
+
+// English spellings of form words
+const FORM_ALIASES = {
+  tablet: 'tablett',
+  tablets: 'tablett',
+  capsule: 'kapsel',
+  capsules: 'kapsel',
+  solution: 'lösning',
+  drops: 'droppar',
+  syrup: 'sirap',
+  injection: 'injektionsvätska',
+  cream: 'kräm',
+  ointment: 'salva',
+  patch: 'plåster',
+  suppository: 'suppositorium',
+  suppositorier: 'suppositorium'
+};
+
+const NUMBER_TOKEN = /^\d[\d.,]*$/;
+
+/**
+ * Singular Swedish form word: "brustabletter" -> "brustablett", "tablets" -> "tablett"
+ */
+function normalizeFormWord(word) {
+  const lower = word.toLowerCase().replace(/tabletter$/, 'tablett').replace(/kapslar$/, 'kapsel');
+  return FORM_ALIASES[lower] || lower;
+}
+
+function isFormWord(word) {
+  return FORM_WORDS.has(normalizeFormWord(word));
+}
+
+/**
+ * Does a strength token need another token to complete it?
+ * "500" needs a unit, "mg/" and "mg/5" need what follows, as does "per"
+ */
+function expectsMore(token) {
+  return NUMBER_TOKEN.test(token) || /[\d/+]$/.test(token) || token === 'per';
+}
+
+/**
+ * Tokens from `start` that make up a strength: numbers, the units after
+ * them and "/", "+" or "per" joining further amounts
+ */
+function strengthLength(tokens, start) {
+  let end = start + 1;
+  while (end < tokens.length) {
+    const token = tokens[end];
+    const joins = /^[/+]/.test(token) || token === 'per' || NUMBER_TOKEN.test(token);
+    if (!expectsMore(tokens[end - 1]) && !joins) break;
+    end++;
+  }
+  return end - start;
+}
+
+/**
+ * Parse a query into { name, strength, strengthText, form }.
+ * strength is parsed components (see strength.js) or null, form is the
+ * lowercase form text or null. Text that does not parse as a strength
+ * stays part of the name ("Abacavir 2care4", "Amorest 28").
+ */
+function parseQuery(query) {
+  const text = String(query || '').trim().replace(/\s+/g, ' ');
+  const tokens = text ? text.split(' ') : [];
+  const result = { name: text, strength: null, strengthText: null, form: null };
+
+  // Strength: the first amount after at least one name word
+  const start = tokens.findIndex((token, i) => i > 0 && /^\d/.test(token));
+  if (start !== -1) {
+    const length = strengthLength(tokens, start);
+    const strengthText = tokens.slice(start, start + length).join(' ');
+    const strength = parseStrength(strengthText);
+    if (strength) {
+      const rest = tokens.slice(start + length);
+      return {
+        name: tokens.slice(0, start).join(' '),
+        strength,
+        strengthText,
+        form: rest.length > 0 ? rest.map(normalizeFormWord).join(' ') : null
+      };
+    }
+  }
+
+  // No strength: trailing form words ("Ipren gel", "alvedon brustabletter")
+  let formStart = tokens.length;
+  while (formStart > 1 && isFormWord(tokens[formStart - 1])) formStart--;
+  if (formStart < tokens.length) {
+    result.name = tokens.slice(0, formStart).join(' ');
+    result.form = tokens.slice(formStart).map(normalizeFormWord).join(' ');
+  }
+
+  return result;
+}
+
+const DAY = '(?:day|daily|dag|dagen|dagligen|dygn|dygnet)';
+const DAY_SUFFIX = String.raw`(?:\s*(?:\/|per|a|om|i)?\s*${DAY})?`;
+
+// Doses per day at the end of a regimen: "x5", "5x/day", "3 times a day", "2 ggr/dygn", "4/day"
+const FREQUENCY_PATTERNS = [
+  /\s+[x×]\s*(\d+)$/i,
+  new RegExp(String.raw`\s+(\d+)\s*[x×]${DAY_SUFFIX}$`, 'i'),
+  new RegExp(String.raw`\s+(\d+)\s*(?:times|gånger|ggr)${DAY_SUFFIX}$`, 'i'),
+  new RegExp(String.raw`\s+(\d+)\s*(?:\/|per)\s*${DAY}$`, 'i')
+];
+const FREQUENCY_WORDS = new RegExp(String.raw`\s+(once|twice)(?:\s+(?:a\s+)?${DAY})?$`, 'i');
+
+// Tablets or capsules per dose: "2 tablets", "2 tabletter", "2 st"
+const UNITS_PATTERN = /\s+(\d+)\s*(?:tablets?|tabletter|tablett|capsules?|kapslar|kapsel|st)$/i;
+
+/**
+ * Split a dosing regimen into { medication, timesPerDay, unitsPerDose }:
+ * "Alvedon 500 mg 2 tablets 3 times a day" -> "Alvedon 500 mg", 3, 2.
+ * timesPerDay is null when the text has no frequency; unitsPerDose
+ * defaults to 1.
+ */
+function parseRegimen(text) {
+  let medication = String(text || '').trim().replace(/\s+/g, ' ');
+  let timesPerDay = null;
+
+  const words = FREQUENCY_WORDS.exec(medication);
+  const pattern = words ? null : FREQUENCY_PATTERNS.find(p => p.test(medication));
+  if (words) {
+    timesPerDay = words[1].toLowerCase() === 'once' ? 1 : 2;
+    medication = medication.slice(0, words.index);
+  } else if (pattern) {
+    const match = pattern.exec(medication);
+    timesPerDay = parseInt(match[1], 10);
+    medication = medication.slice(0, match.index);
+  }
+
+  let unitsPerDose = 1;
+  const units = UNITS_PATTERN.exec(medication);
+  if (units) {
+    unitsPerDose = parseInt(units[1], 10);
+    medication = medication.slice(0, units.index);
+  }
+
+  return { medication: medication.trim(), timesPerDay, unitsPerDose };
+}
+
+const WEIGHT_PATTERN = /^(\d+(?:[.,]\d+)?)\s*(?:kg|kilo|kilos)?$/i;
+const AGE_PATTERN = /^(\d+(?:[.,]\d+)?)\s*(?:(m|mo|months?|mån|månader|månad)|y|yrs?|years?|år)?$/i;
+
+function toNumber(text) {
+  return parseFloat(text.replace(',', '.'));
+}
+
+/**
+ * Body weight in kg: "18kg", "18,5 kg" or 18 -> 18. Null when unreadable.
+ */
+function parseWeight(value) {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const match = WEIGHT_PATTERN.exec(String(value || '').trim());
+  return match && toNumber(match[1]) > 0 ? toNumber(match[1]) : null;
+}
+
+/**
+ * Age in months: "4", "4 år", "4 years" and 4 are years; "8 months",
+ * "8 mån" and "8m" are months. Null when unreadable.
+ */
+function parseAge(value) {
+  if (typeof value === 'number') return value >= 0 ? value * 12 : null;
+  const match = AGE_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+  return match[2] ? toNumber(match[1]) : toNumber(match[1]) * 12;
+}
+
+/**
+ * Normalize form text the way parseQuery does: "Tabletter" -> "tablett", "cream" -> "kräm"
+ */
+function normalizeForm(text) {
+  return String(text).trim().split(/\s+/).map(normalizeFormWord).join(' ');
+}
+
+/**
+ * Does a product form match a query form? Every query word must appear in
+ * the form: "tablett" matches "Filmdragerad tablett", "kapsel hård" matches
+ * "Kapsel, hård"
+ */
+function formMatches(productForm, queryForm) {
+  const form = String(productForm || '').toLowerCase();
+  return queryForm.split(' ').every(word => form.includes(word));
+}
+
+module.exports = {
+  parseQuery,
+  parseRegimen,
+  parseWeight,
+  parseAge,
+  normalizeForm,
+  formMatches
+};
@@ -0,0 +1,187 @@
+/**
+ * Search Index
+ * In-memory indexes over the full medications database, built once so
+ * lookups do not have to walk all records and lowercase every string.
+ *
+ * - Trigram index over lowercase names and substances: answers the same
+ *   substring queries as `String.includes`, but only verifies candidates
+ *   that contain every trigram of the query.
+ * - ATC prefix index (N, N02, N02B, N02BE, N02BE01), also for several
+ *   prefixes at once (searchByIndication).
+ * - nplId lookup, used to resolve SUBSTANCES_INDEX entries.
+ */
+
+const { normalizeForMatch } = require('./fuzzy');
+
+const GRAM_SIZE = 3;
+
+/**
+ * Intersect two ascending index lists
+ */
+function intersectSorted(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build a trigram index over a list of values per record.
+ * Posting lists hold record indices in ascending order.
+ */
+function buildGramIndex(valuesPerRecord) {
+  const grams = new Map();
+
+  valuesPerRecord.forEach((values, idx) => {
+    const seen = new Set();
+    for (const value of values) {
+      for (let i = 0; i + GRAM_SIZE <= value.length; i++) {
+        const gram = value.substring(i, i + GRAM_SIZE);
+        if (seen.has(gram)) continue;
+        seen.add(gram);
+        if (!grams.has(gram)) grams.set(gram, []);
+        grams.get(gram).push(idx);
+      }
+    }
+  });
+
+  /**
+   * Indices of records with a value containing `query`, ascending
+   */
+  function find(query) {
+    if (query.length < GRAM_SIZE) {
+      // Too short for trigrams: check every record
+      const matches = [];
+      for (let idx = 0; idx < valuesPerRecord.length; idx++) {
+        if (valuesPerRecord[idx].some(value => value.includes(query))) matches.push(idx);
+      }
+      return matches;
+    }
+
+    // Intersect the shortest posting lists first
+    const lists = [];
+    for (let i = 0; i + GRAM_SIZE <= query.length; i++) {
+      const list = grams.get(query.substring(i, i + GRAM_SIZE));
+      if (!list) return [];
+      lists.push(list);
+    }
+    lists.sort((a, b) => a.length - b.length);
+    let candidates = lists[0];
+    for (let i = 1; i < lists.length && candidates.length > 0; i++) {
+      candidates = intersectSorted(candidates, lists[i]);
+    }
+
+    return candidates.filter(idx => valuesPerRecord[idx].some(value => value.includes(query)));
+  }
+
+  return { find, size: grams.size };
+}
+
+/**
+ * Merge two ascending index lists into one ascending list without duplicates
+ */
+function unionSorted(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) {
+      result.push(a[i++]);
+    } else if (i >= a.length || b[j] < a[i]) {
+      result.push(b[j++]);
+    } else {
+      result.push(a[i]);
+      i++;
+      j++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build all indexes for a medications array
+ */
+function createSearchIndex(medications) {
+  const names = buildGramIndex(medications.map(med => [med.nameNormalized || '']));
+  const substances = buildGramIndex(medications.map(med =>
+    (med.activeSubstances || []).map(sub => sub.toLowerCase())));
+  const normalized = buildGramIndex(medications.map(med =>
+    [normalizeForMatch(med.name || ''), ...(med.activeSubstances || []).map(normalizeForMatch)]));
+
+  const byNplId = new Map();
+  const byAtc = new Map();
+
+  medications.forEach((med, idx) => {
+    if (med.nplId) byNplId.set(med.nplId, med);
+
+    const atc = (med.atcCode || '').toUpperCase();
+    for (let len = 1; len <= atc.length; len++) {
+      const prefix = atc.substring(0, len);
+      if (!byAtc.has(prefix)) byAtc.set(prefix, []);
+      byAtc.get(prefix).push(idx);
+    }
+  });
+
+  return {
+    /**
+     * Records whose name or any substance contains the lowercase query
+     */
+    findSubstring(queryLower) {
+      return unionSorted(names.find(queryLower), substances.find(queryLower)).map(idx => medications[idx]);
+    },
+
+    /**
+     * Records matching a fuzzy-normalized query (see fuzzy.normalizeForMatch)
+     */
+    findNormalized(normalizedQuery) {
+      return normalized.find(normalizedQuery).map(idx => medications[idx]);
+    },
+
+    /**
+     * Records whose ATC code starts with the (uppercase) prefix
+     */
+    findByAtc(prefix) {
+      return (byAtc.get(prefix) || []).map(idx => medications[idx]);
+    },
+
+    /**
+     * Records whose ATC code starts with any of the prefixes, in database
+     * order and each once
+     */
+    findByAtcPrefixes(prefixes) {
+      return prefixes
+        .reduce((matches, prefix) => unionSorted(matches, byAtc.get(prefix) || []), [])
+        .map(idx => medications[idx]);
+    },
+
+    /**
+     * Record by nplId
+     */
+    getByNplId(nplId) {
+      return byNplId.get(nplId) || null;
+    },
+
+    stats: {
+      records: medications.length,
+      nameGrams: names.size,
+      substanceGrams: substances.size,
+      atcPrefixes: byAtc.size
+    }
+  };
+}
+
+module.exports = {
+  createSearchIndex,
+  buildGramIndex
+};
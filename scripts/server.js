@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * HTTP API Server
+ * Serves lookups, search, ATC browsing and interaction checks as JSON, so
+ * services can share one process instead of each loading the database.
+ *
+ * Usage:
+ *   fass-lookup serve [--port 8080] [--host 127.0.0.1]
+ *   node server.js [--port 8080] [--host 127.0.0.1]
+ *
+ * Endpoints (GET):
+ *   /lookup?q=alvedon 500mg                   Best match, like fass-lookup <query>
+ *   /medications?q=ibuprofen&otc=true&form=gel Search; also rx, manufacturer, atc, families, limit, offset
+ *   /medications/:nplId                       One product
+ *   /medications/:nplId/equivalents           Interchangeable products
+ *   /atc/:code                                ATC group with its products (limit, offset)
+ *   /interactions?drugs=Waran,Ipren           Interactions and duplicate therapies (atcLevel)
+ *   /stats                                    Database statistics
+ *
+ * Medications use the schema in schema/medication-result.schema.json.
+ * Errors are { "error": message } with status 400 (bad input), 404 (not
+ * found) or 405 (method not allowed).
+ */
+
+const http = require('http');
+const {
+  lookupMedicationJson,
+  toMedicationJson,
+  findByNplId,
+  findEquivalents,
+  searchMedications,
+  searchByAtc,
+  normalizeAtc,
+  getAtcTree,
+  reviewMedicationList,
+  getDatabaseStats,
+  getDataAge
+} = require('./fass_lookup');
+const { NPL_ID_PATTERN } = require('./database');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Error answered with its status (400, 404); anything else a handler
+ * throws is a 500
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function requireParam(params, name) {
+  const value = (params.get(name) || '').trim();
+  if (!value) throw httpError(400, `Missing query parameter "${name}"`);
+  return value;
+}
+
+function integerParam(params, name, fallback, min, max) {
+  if (!params.has(name)) return fallback;
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw httpError(400, `"${name}" must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+function booleanParam(params, name) {
+  if (!params.has(name)) return false;
+  const value = params.get(name).toLowerCase();
+  if (value === 'true' || value === '1' || value === '') return true;
+  if (value === 'false' || value === '0') return false;
+  throw httpError(400, `"${name}" must be true or false`);
+}
+
+function pageParams(params) {
+  return {
+    limit: integerParam(params, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT),
+    offset: integerParam(params, 'offset', 0, 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+function atcParam(params, name) {
+  if (!params.get(name)) return undefined;
+  try {
+    return normalizeAtc(params.get(name));
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+}
+
+function nplIdParam(value) {
+  if (!NPL_ID_PATTERN.test(value)) throw httpError(400, `Invalid nplId "${value}", expected 14 digits`);
+  return value;
+}
+
+/**
+ * Route table: path pattern -> handler(params, match) returning
+ * [status, body] or a body (status 200)
+ */
+const ROUTES = [
+  [/^\/$/, () => ({
+    endpoints: [
+      '/lookup?q=',
+      '/medications?q=',
+      '/medications/:nplId',
+      '/medications/:nplId/equivalents',
+      '/atc/:code',
+      '/interactions?drugs=',
+      '/stats'
+    ]
+  })],
+
+  [/^\/lookup$/, params => {
+    const result = lookupMedicationJson(requireParam(params, 'q'));
+    return result.found ? result : [404, result];
+  }],
+
+  [/^\/medications$/, params => {
+    const query = requireParam(params, 'q');
+    const options = {
+      ...pageParams(params),
+      otcOnly: booleanParam(params, 'otc'),
+      rxOnly: booleanParam(params, 'rx'),
+      families: booleanParam(params, 'families'),
+      form: params.get('form') || undefined,
+      manufacturer: params.get('manufacturer') || undefined,
+      atcPrefix: atcParam(params, 'atc')
+    };
+    if (options.otcOnly && options.rxOnly) throw httpError(400, 'Use either "otc" or "rx", not both');
+
+    const page = searchMedications(query, options);
+    return { query, total: page.total, offset: options.offset, results: page.results.map(toMedicationJson) };
+  }],
+
+  [/^\/medications\/([^/]+)$/, (params, match) => {
+    const med = findByNplId(nplIdParam(match[1]));
+    if (!med) throw httpError(404, `No product with nplId ${match[1]}`);
+    return toMedicationJson(med);
+  }],
+
+  [/^\/medications\/([^/]+)\/equivalents$/, (params, match) => {
+    const result = findEquivalents(nplIdParam(match[1]));
+    if (result.groups.length === 0) throw httpError(404, `No product with nplId ${match[1]}`);
+    return result;
+  }],
+
+  [/^\/atc\/([^/]+)$/, (params, match) => {
+    let tree;
+    try {
+      tree = getAtcTree(match[1]);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    if (!tree.en && !tree.sv && tree.count === 0) throw httpError(404, `Unknown ATC code ${tree.code}`);
+
+    const { limit, offset } = pageParams(params);
+    const products = searchByAtc(tree.code);
+    return {
+      query: tree.code,
+      tree,
+      total: products.length,
+      offset,
+      results: products.slice(offset, offset + limit).map(toMedicationJson)
+    };
+  }],
+
+  [/^\/interactions$/, params => {
+    const names = requireParam(params, 'drugs').split(',').map(name => name.trim()).filter(Boolean);
+    if (names.length < 2) throw httpError(400, '"drugs" needs at least two comma-separated medications');
+    const atcLevel = integerParam(params, 'atcLevel', undefined, 1, 5);
+    return reviewMedicationList(names, { atcLevel });
+  }],
+
+  [/^\/stats$/, () => ({ ...getDatabaseStats(), dataAge: getDataAge() })]
+];
+
+function send(res, status, body, corsOrigin) {
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': corsOrigin,
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  };
+  res.writeHead(status, headers);
+  res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Request handler for http.createServer. Options: corsOrigin (default "*"),
+ * log (called with one line per request)
+ */
+function createHandler(options = {}) {
+  const corsOrigin = options.corsOrigin || '*';
+  const log = options.log || (() => {});
+
+  return (req, res) => {
+    const reply = (status, body) => {
+      log(`${req.method} ${req.url} ${status}`);
+      send(res, status, body, corsOrigin);
+    };
+
+    if (req.method === 'OPTIONS') {
+      reply(204, null);
+      return;
+    }
+    if (req.method !== 'GET') {
+      reply(405, { error: `Method ${req.method} not allowed, use GET` });
+      return;
+    }
+
+    // Request targets such as "http://[" are not valid URLs
+    let url;
+    let pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname).replace(/\/+$/, '') || '/';
+    } catch (error) {
+      reply(400, { error: 'Malformed URL' });
+      return;
+    }
+
+    for (const [pattern, handler] of ROUTES) {
+      const match = pattern.exec(pathname);
+      if (!match) continue;
+      try {
+        const result = handler(url.searchParams, match);
+        const [status, body] = Array.isArray(result) ? result : [200, result];
+        reply(status, body);
+      } catch (error) {
+        if (error.status) {
+          reply(error.status, { error: error.message });
+        } else {
+          reply(500, { error: 'Internal server error' });
+          log(error.stack);
+        }
+      }
+      return;
+    }
+
+    reply(404, { error: `No endpoint ${pathname}` });
+  };
+}
+
+function createServer(options = {}) {
+  return http.createServer(createHandler(options));
+}
+
+/**
+ * Start listening; resolves with the server once it accepts connections.
+ * Port 0 picks a free port (see server.address().port).
+ */
+function startServer(options = {}) {
+  const { port = DEFAULT_PORT, host = DEFAULT_HOST } = options;
+  const server = createServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Parse --port and --host and serve until the process is stopped
+ */
+async function main(args = process.argv.slice(2)) {
+  const portIdx = args.indexOf('--port');
+  const hostIdx = args.indexOf('--host');
+  const port = portIdx !== -1 ? Number(args[portIdx + 1]) : Number(process.env.PORT || DEFAULT_PORT);
+  const host = hostIdx !== -1 ? args[hostIdx + 1] : DEFAULT_HOST;
+  if (!Number.isInteger(port) || port < 0 || port > 65535 || !host) {
+    console.log('Usage: fass-lookup serve [--port <0-65535>] [--host <address>]');
+    process.exit(1);
+  }
+
+  try {
+    const server = await startServer({ port, host, log: console.log });
+    const address = server.address();
+    console.log(`💊 Swedish Medications API listening on http://${address.address}:${address.port}`);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  createHandler,
+  createServer,
+  startServer,
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,178 @@
+/**
+ * Strength Parser
+ * Turns FASS strength text into numeric values and units:
+ *
+ *   "600 mg/300 mg"      -> 600 mg + 300 mg (combination product)
+ *   "2,5 mg/ml"          -> 2.5 mg per ml
+ *   "250 mg/5 ml"        -> 250 mg per 5 ml
+ *   "160 mikrogram/4,5 mikrogram/inhalation" -> 160 µg + 4.5 µg, each per inhalation
+ *   "10 mg/ml + 5 mg/ml" -> 10 mg per ml + 5 mg per ml
+ *
+ * Used by database.js when records are built, so the parsed form is stored
+ * in the database next to the original text.
+ */
+
+// Unit spellings mapped to one form; anything else is kept as written
+const UNIT_ALIASES = {
+  mikrogram: 'µg',
+  mikrog: 'µg',
+  mcg: 'µg',
+  'µg': 'µg',
+  ug: 'µg',
+  nanogram: 'ng',
+  milligram: 'mg',
+  gram: 'g',
+  ml: 'ml',
+  milliliter: 'ml',
+  mikroliter: 'µl',
+  mikrol: 'µl',
+  liter: 'l',
+  enheter: 'E',
+  enhet: 'E',
+  e: 'E',
+  ie: 'IE',
+  u: 'E',
+  timme: 'h',
+  timmar: 'h',
+  tim: 'h',
+  dygn: 'd',
+  dos: 'dos',
+  doser: 'dos'
+};
+
+// Units that measure the amount a dose is dissolved in or delivered over
+// ("250 mg/5 ml", "25 mikrogram/24 timmar"), rather than a second substance
+const CONTAINER_UNITS = new Set(['ml', 'l', 'µl', 'h', 'd', 'dos']);
+
+const MASS_IN_MG = { g: 1000, mg: 1, 'µg': 0.001, ng: 0.000001 };
+
+const MULTIPLIERS = { miljon: 1e6, miljoner: 1e6 };
+
+const PARSE_CACHE = new Map();
+
+/**
+ * Canonical unit for unit text, e.g. "mikrogram" -> "µg", "mL" -> "ml"
+ */
+function normalizeUnit(unit) {
+  const text = unit.trim().replace(/\s+/g, ' ');
+  return UNIT_ALIASES[text.toLowerCase()] || text;
+}
+
+/**
+ * Parse one "/"-separated segment: "2,5 mg", "0,5 ml", "inhalation", "2 miljoner IE"
+ */
+function parseSegment(segment) {
+  // "10 000 IE" uses a space as thousands separator
+  const match = segment.trim().match(/^(\d{1,3}(?: \d{3})+(?:,\d+)?|\d+(?:[.,]\d+)?)?\s*(.*)$/);
+  const [, number, rest] = match;
+  if (!rest || /\d/.test(rest)) return null;
+
+  let value = number === undefined ? null : parseFloat(number.replace(/ /g, '').replace(',', '.'));
+  let unit = rest;
+  const [firstWord, ...others] = unit.split(' ');
+  if (value !== null && MULTIPLIERS[firstWord] && others.length > 0) {
+    value *= MULTIPLIERS[firstWord];
+    unit = others.join(' ');
+  }
+
+  return { value, unit: normalizeUnit(unit) };
+}
+
+/**
+ * Parse strength text into components, or null if the text is empty or
+ * not understood (ranges such as "3,2 - 100 miljoner celler")
+ *
+ * Each component is { value, unit, per }, where per is null or
+ * { value, unit }: "2,5 mg/ml" -> { value: 2.5, unit: 'mg', per: { value: 1, unit: 'ml' } }
+ */
+function parseStrength(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  // A parenthesized combination shares what follows: "(300 IE + 150 IE)/0,48 ml"
+  const shared = text.trim().match(/^\((.*)\)\s*(\/.*)$/);
+  const expanded = shared
+    ? shared[1].split(/\s*\+\s*/).map(part => part + shared[2]).join(' + ')
+    : text;
+
+  // Other parentheses restate the strength in other units: "0,2 % (2 mg/ml)", "300 mg (8,1 mmol)"
+  const cleaned = expanded.replace(/\([^)]*\)/g, ' ').trim();
+  if (!cleaned) return null;
+
+  const components = [];
+
+  // Parts are separated by "+", "och" or ", " ("0,3 %, 0,3 %"; decimal commas have no space)
+  for (const part of cleaned.split(/\s*\+\s*|\s+och\s+|,\s+/)) {
+    const partComponents = [];
+
+    for (const segmentText of part.split(/\s*\/\s*|\s+per\s+/)) {
+      const segment = parseSegment(segmentText);
+      if (!segment) return null;
+
+      const previous = partComponents[partComponents.length - 1];
+      const isPer = segment.value === null ||
+        (previous && CONTAINER_UNITS.has(segment.unit) && !CONTAINER_UNITS.has(previous.unit));
+
+      if (isPer) {
+        if (!previous) return null;
+        const per = { value: segment.value === null ? 1 : segment.value, unit: segment.unit };
+        for (const component of partComponents) {
+          if (!component.per) component.per = { ...per };
+        }
+      } else {
+        partComponents.push({ value: segment.value, unit: segment.unit, per: null });
+      }
+    }
+
+    if (partComponents.length === 0) return null;
+    components.push(...partComponents);
+  }
+
+  return components;
+}
+
+/**
+ * Parse a product's strength and pair the components with its active
+ * substances when there is one component per substance
+ */
+function parseProductStrength(strength, activeSubstances = []) {
+  // A database has about ten times more products than distinct strength texts
+  if (!PARSE_CACHE.has(strength)) PARSE_CACHE.set(strength, parseStrength(strength));
+  const components = PARSE_CACHE.get(strength);
+  if (!components) return null;
+
+  const paired = components.length === activeSubstances.length;
+  return components.map((component, i) => ({
+    substance: paired ? activeSubstances[i] : null,
+    value: component.value,
+    unit: component.unit,
+    per: component.per && { ...component.per }
+  }));
+}
+
+/**
+ * Convert a mass to milligrams, or null for non-mass units
+ */
+function toMilligrams(value, unit) {
+  return unit in MASS_IN_MG ? value * MASS_IN_MG[unit] : null;
+}
+
+/**
+ * Comparable text for parsed components, with masses in mg:
+ * "1 g" and "1000 mg" give the same key
+ */
+function strengthKey(components) {
+  return components.map(component => {
+    const mg = toMilligrams(component.value, component.unit);
+    const amount = mg === null ? `${component.value} ${component.unit}` : `${+mg.toPrecision(12)} mg`;
+    const per = component.per ? `/${component.per.value} ${component.per.unit}` : '';
+    return amount + per;
+  }).join(' + ');
+}
+
+module.exports = {
+  parseStrength,
+  parseProductStrength,
+  normalizeUnit,
+  toMilligrams,
+  strengthKey
+};
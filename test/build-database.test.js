@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Tests for the database builder
+ * Run with: npm test
+ *
+ * Builds databases from the recorded API pages in test/fixtures/fass-api,
+ * read directly or served by a local stand-in for api.fass.se. No network
+ * access is needed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawnSync } = require('child_process');
+const {
+  checkpointFileName,
+  fixtureFileName,
+  fetchWithRetry,
+  fetchAllMedications,
+  buildDatabase
+} = require('../scripts/build-database.js');
+const { readDatabaseFile, SCHEMA_VERSION } = require('../scripts/database.js');
+const { test, testAsync, assertEqual, assertContains, finish } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'build-database.js');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'fass-api');
+const FIXTURE_COUNT = 5;
+const quiet = () => {};
+
+// Fast builds: small pages, no delays
+const BUILD_OPTIONS = { pageSize: 2, retries: 2, retryDelay: 1, pageDelay: 0, log: quiet };
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fass-build-'));
+}
+
+function checkpointFiles(dataDir) {
+  return fs.readdirSync(dataDir).filter(file => file.startsWith('.build-checkpoint'));
+}
+
+/**
+ * Serve the fixture pages over HTTP. `failures` maps a fixture file name
+ * to the status codes returned before it is served (Infinity: always fail).
+ */
+function startStandInServer(failures = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const file = fixtureFileName(req.url);
+    requests.push(file);
+
+    if (failures[file] > 0) {
+      failures[file]--;
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+
+    const filePath = path.join(FIXTURE_DIR, file);
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(fs.readFileSync(filePath));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        failures,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+async function run() {
+  console.log('\n🧪 Database Builder Tests\n');
+  console.log('─'.repeat(50));
+
+  console.log('\n📁 Fixture Builds\n');
+
+  test('fixtureFileName should turn API paths into file names', () => {
+    assertEqual(fixtureFileName('/fass-document/all?number=2'), 'fass-document_all_number_2.json');
+    assertEqual(fixtureFileName('/fass-document/all?number=2&cursor=page-2'), 'fass-document_all_number_2_cursor_page-2.json');
+  });
+
+  await testAsync('buildDatabase should build a loadable database from a fixture directory', async () => {
+    const dataDir = makeTempDir();
+    try {
+      const stats = await buildDatabase({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir });
+      assertEqual(stats.medications, FIXTURE_COUNT);
+
+      for (const file of ['medications.json', 'medications.json.gz']) {
+        const db = readDatabaseFile(path.join(dataDir, file));
+        assertEqual(db.schemaVersion, SCHEMA_VERSION);
+        assertEqual(db.count, FIXTURE_COUNT);
+      }
+
+      const db = readDatabaseFile(path.join(dataDir, 'medications.json'));
+      const alvedon = db.medications[0];
+      assertEqual(alvedon.name, 'Alvedon');
+      assertEqual(alvedon.prescriptionRequired, false);
+      assertEqual(alvedon.summary, 'Alvedon 500 mg (Tablett) Aktiv substans: Paracetamol. ATC: N02BE01.');
+      assertEqual(db.medications[3].activeSubstances.join('|'), 'Abakavir|lamivudin');
+      assertEqual(db.medications[3].parsedStrength.map(c => `${c.substance} ${c.value} ${c.unit}`).join(', '),
+        'Abakavir 600 mg, lamivudin 300 mg');
+      assertEqual(db.medications[4].narcoticsClass, 'II');
+
+      const substances = JSON.parse(fs.readFileSync(path.join(dataDir, 'substances.json'), 'utf8'));
+      assertEqual(substances.lamivudin.join(), '20150416000034');
+      assertEqual(checkpointFiles(dataDir).length, 0);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  await testAsync('buildDatabase should write a changelog against the previous build', async () => {
+    const dataDir = makeTempDir();
+    try {
+      // Previous build: the first page only
+      await buildDatabase({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir, testMode: true });
+      assertEqual(fs.existsSync(path.join(dataDir, 'changelog.json')), false);
+
+      const stats = await buildDatabase({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir });
+      assertEqual(stats.changes.added, 3);
+      assertEqual(stats.changes.unchanged, 2);
+
+      const changelog = JSON.parse(fs.readFileSync(path.join(dataDir, 'changelog.json'), 'utf8'));
+      assertEqual(changelog.to, stats.updated);
+      assertEqual(changelog.added.map(med => med.name).join('|'), 'Abacavir/Lamivudine Accord|Sertralin Accord|Tramadol Actavis');
+      assertContains(fs.readFileSync(path.join(dataDir, 'changelog.md'), 'utf8'), '### ➕ Added (3)');
+
+      // A test build after a full one only has the first page, so it writes no changelog
+      fs.unlinkSync(path.join(dataDir, 'changelog.json'));
+      const test = await buildDatabase({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir, testMode: true });
+      assertEqual(test.changes, undefined);
+      assertEqual(fs.existsSync(path.join(dataDir, 'changelog.json')), false);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  await testAsync('test mode should fetch a single page', async () => {
+    const dataDir = makeTempDir();
+    try {
+      const medications = await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir, testMode: true });
+      assertEqual(medications.length, 2);
+      assertEqual(checkpointFiles(dataDir).length, 0);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  console.log('\n🔁 Retries\n');
+
+  await testAsync('fetchWithRetry should retry transient failures with backoff', async () => {
+    let calls = 0;
+    const delays = [];
+    const flaky = async () => {
+      calls++;
+      if (calls < 3) {
+        const error = new Error('HTTP 503');
+        error.statusCode = 503;
+        throw error;
+      }
+      return { ok: true };
+    };
+    const result = await fetchWithRetry(flaky, '/x', { retries: 3, retryDelay: 1, log: msg => delays.push(msg) });
+    assertEqual(result.ok, true);
+    assertEqual(calls, 3);
+    assertContains(delays[0], 'retrying in 1 ms');
+    assertContains(delays[1], 'retrying in 2 ms');
+  });
+
+  await testAsync('fetchWithRetry should not retry client errors', async () => {
+    let calls = 0;
+    const notFound = async () => {
+      calls++;
+      const error = new Error('HTTP 404');
+      error.statusCode = 404;
+      throw error;
+    };
+    let threw = false;
+    try {
+      await fetchWithRetry(notFound, '/x', { retries: 3, retryDelay: 1, log: quiet });
+    } catch (err) {
+      threw = true;
+    }
+    assertEqual(threw, true);
+    assertEqual(calls, 1);
+  });
+
+  await testAsync('buildDatabase should recover from server errors on a stand-in server', async () => {
+    const server = await startStandInServer({ 'fass-document_all_number_2_cursor_page-2.json': 2 });
+    const dataDir = makeTempDir();
+    try {
+      const stats = await buildDatabase({ ...BUILD_OPTIONS, apiBase: server.url, dataDir });
+      assertEqual(stats.medications, FIXTURE_COUNT);
+      assertEqual(server.requests.length, 5);
+    } finally {
+      await server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  console.log('\n⏯️  Resuming\n');
+
+  await testAsync('an interrupted build should resume from the checkpoint', async () => {
+    const lastPage = 'fass-document_all_number_2_cursor_page-3.json';
+    const dataDir = makeTempDir();
+    const server = await startStandInServer({ [lastPage]: Infinity });
+    const checkpointPath = path.join(dataDir, checkpointFileName({ ...BUILD_OPTIONS, apiBase: server.url }));
+    try {
+      let error = null;
+      try {
+        await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: server.url, dataDir });
+      } catch (err) {
+        error = err;
+      }
+      if (!error) throw new Error('Expected the build to fail on page 3');
+      assertContains(error.message, 'Page 3');
+
+      const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+      assertEqual(checkpoint.page, 2);
+      assertEqual(checkpoint.cursor, 'page-3');
+      assertEqual(checkpoint.medications.length, 4);
+
+      // The server recovers; only the missing page should be requested
+      server.failures[lastPage] = 0;
+      server.requests.length = 0;
+      const medications = await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: server.url, dataDir });
+      assertEqual(medications.length, FIXTURE_COUNT);
+      assertEqual(server.requests.join(), lastPage);
+      assertEqual(fs.existsSync(checkpointPath), false);
+    } finally {
+      await server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  await testAsync('fresh builds should ignore the checkpoint', async () => {
+    const dataDir = makeTempDir();
+    const checkpointPath = path.join(dataDir, checkpointFileName({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR }));
+    const stale = { apiBase: FIXTURE_DIR, pageSize: 2, page: 2, cursor: 'page-3', medications: [] };
+    try {
+      fs.writeFileSync(checkpointPath, JSON.stringify(stale));
+      const fresh = await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir, fresh: true });
+      assertEqual(fresh.length, FIXTURE_COUNT);
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  await testAsync('test runs and other API bases should leave a full build\'s checkpoint alone', async () => {
+    const dataDir = makeTempDir();
+    const real = { apiBase: FIXTURE_DIR, pageSize: 2, testMode: false, page: 2, cursor: 'page-3', medications: [{ nplId: 'real' }] };
+    const realPath = path.join(dataDir, checkpointFileName({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR }));
+    const otherPath = path.join(dataDir, checkpointFileName({ ...BUILD_OPTIONS, apiBase: 'https://example.invalid' }));
+    try {
+      fs.writeFileSync(realPath, JSON.stringify(real));
+      fs.writeFileSync(otherPath, JSON.stringify({ ...real, apiBase: 'https://example.invalid' }));
+
+      const test = await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir, testMode: true });
+      assertEqual(test.length, 2);
+      assertEqual(test.some(med => med.nplId === 'real'), false);
+      assertEqual(checkpointFiles(dataDir).sort().join(), [realPath, otherPath].map(file => path.basename(file)).sort().join());
+
+      // The full build still resumes where it stopped
+      const full = await fetchAllMedications({ ...BUILD_OPTIONS, apiBase: FIXTURE_DIR, dataDir });
+      assertEqual(full.map(med => med.nplId)[0], 'real');
+      assertEqual(checkpointFiles(dataDir).join(), path.basename(otherPath));
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  console.log('\n💻 CLI\n');
+
+  test('--api-base without a value should print usage', () => {
+    for (const args of [['--api-base'], ['--api-base', '--test']]) {
+      const result = spawnSync(process.execPath, [SCRIPT, ...args], { encoding: 'utf8', timeout: 30000 });
+      assertEqual(result.status, 1, `for ${args.join(' ')}`);
+      assertContains(result.stdout, 'Usage: node build-database.js --api-base <url|dir>');
+      assertEqual(result.stderr, '');
+    }
+  });
+
+  finish();
+}
+
+run();
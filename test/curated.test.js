@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Tests for the curated medications file and its validation
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CURATED_MEDICATIONS, validateCuratedMedications } = require('../scripts/fass_lookup.js');
+const {
+  CURATED_FILE,
+  readCuratedFile,
+  loadCuratedMedications,
+  checkCuratedMedications,
+  formatCuratedValidation
+} = require('../scripts/curated.js');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'fass_lookup.js');
+
+// Small stand-in for the full database
+const PRODUCTS = [
+  { name: 'Alvedon', nameNormalized: 'alvedon', activeSubstances: ['Paracetamol'], atcCode: 'N02BE01' },
+  { name: 'Panodil Zapp', nameNormalized: 'panodil zapp', activeSubstances: ['Paracetamol'], atcCode: 'N02BE01' },
+  { name: 'Ipren', nameNormalized: 'ipren', activeSubstances: ['Ibuprofen'], atcCode: 'M01AE01' },
+  { name: 'Levaxin', nameNormalized: 'levaxin', activeSubstances: ['Levotyroxinnatrium'], atcCode: 'H03AA01' }
+];
+
+function entry(overrides = {}) {
+  return {
+    brands: ['Alvedon'],
+    use: 'Pain relief',
+    useSv: 'Smärtlindring',
+    dose: 'Adult: 500-1000mg',
+    doseSv: 'Vuxna: 500–1000 mg',
+    otc: true,
+    warnings: 'Liver disease',
+    warningsSv: 'Leversjukdom',
+    atc: 'N02BE01',
+    ...overrides
+  };
+}
+
+function withCuratedFile(medications, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fass-curated-'));
+  const file = path.join(dir, 'curated-medications.json');
+  try {
+    fs.writeFileSync(file, typeof medications === 'string' ? medications : JSON.stringify({ medications }));
+    fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Copy a directory tree (fs.cpSync needs Node 16.7)
+ */
+function copyDir(from, to) {
+  fs.mkdirSync(to, { recursive: true });
+  for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+    const source = path.join(from, entry.name);
+    const target = path.join(to, entry.name);
+    if (entry.isDirectory()) copyDir(source, target);
+    else fs.copyFileSync(source, target);
+  }
+}
+
+/**
+ * Run the CLI from a copy of the scripts whose data directory has `curated`
+ * as its curated medications file (the other data files are linked)
+ */
+function runWithShippedFile(curated, args) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fass-shipped-'));
+  try {
+    const repo = path.join(__dirname, '..');
+    copyDir(path.join(repo, 'scripts'), path.join(root, 'scripts'));
+    copyDir(path.join(repo, 'schema'), path.join(root, 'schema'));
+    fs.mkdirSync(path.join(root, 'data'));
+    for (const name of fs.readdirSync(path.join(repo, 'data'))) {
+      if (name === 'curated-medications.json') continue;
+      fs.symlinkSync(path.join(repo, 'data', name), path.join(root, 'data', name));
+    }
+    fs.writeFileSync(path.join(root, 'data', 'curated-medications.json'), JSON.stringify({ medications: curated }));
+    return spawnSync(process.execPath, [path.join(root, 'scripts', 'fass_lookup.js'), ...args], { encoding: 'utf8' });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+console.log('\n🧪 Curated Medications Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n📄 Data File\n');
+
+test('the shipped file should match its schema', () => {
+  assertEqual(readCuratedFile().errors.join('; '), '');
+});
+
+test('CURATED_MEDICATIONS should be loaded from the data file in order', () => {
+  const medications = JSON.parse(fs.readFileSync(CURATED_FILE, 'utf8')).medications;
+  assertEqual(Object.keys(CURATED_MEDICATIONS).join(), Object.keys(medications).join());
+  assertEqual(CURATED_MEDICATIONS.paracetamol.brands.join(), 'Alvedon,Panodil,Pamol');
+});
+
+test('loading should list every schema error', () => {
+  withCuratedFile({ Paracetamol: entry({ atc: 'N02BE' }), ibuprofen: entry({ useSv: undefined }) }, file => {
+    let error = null;
+    try {
+      loadCuratedMedications(file);
+    } catch (err) {
+      error = err;
+    }
+    assertEqual(error.errors.length, 3);
+    assertContains(error.message, '$.medications.Paracetamol.atc: "N02BE" does not match');
+    assertContains(error.message, '$.medications.ibuprofen: missing required property "useSv"');
+    assertContains(error.message, '$.medications.Paracetamol: name must be lowercase');
+  });
+});
+
+test('text OTC status should need a Swedish text', () => {
+  withCuratedFile({ diklofenak: entry({ otc: 'Gel OTC, tablets Rx' }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 1);
+  });
+  withCuratedFile({ diklofenak: entry({ otc: 'Gel OTC, tablets Rx', otcSv: 'Gel receptfri, tabletter receptbelagda' }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 0);
+  });
+});
+
+test('dose limits should be checked, with Swedish notes', () => {
+  const limit = { population: 'adult', maxDaily: { value: 4, unit: 'g' }, note: 'Self-care limit' };
+  withCuratedFile({ paracetamol: entry({ doseLimits: [limit] }) }, file => {
+    assertContains(readCuratedFile(file).errors.join(), '$.medications.paracetamol.doseLimits[0]: does not match any allowed schema');
+  });
+  withCuratedFile({ paracetamol: entry({ doseLimits: [{ ...limit, noteSv: 'Gräns vid egenvård' }] }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 0);
+  });
+  withCuratedFile({ paracetamol: entry({ doseLimits: [{ population: 'adult', maxDaily: { value: 4, unit: 'tablets' } }] }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 1);
+  });
+});
+
+test("children's dosing rules need a dose per kg or a fixed dose", () => {
+  const perKg = { minWeightKg: 5, maxWeightKg: 40, mgPerKg: { min: 10, max: 15 }, timesPerDay: { min: 3, max: 4 } };
+  withCuratedFile({ paracetamol: entry({ pediatricDosing: { rules: [perKg] } }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 0);
+  });
+  const { maxWeightKg, ...unbounded } = perKg;
+  withCuratedFile({ paracetamol: entry({ pediatricDosing: { rules: [unbounded] } }) }, file => {
+    assertContains(readCuratedFile(file).errors.join(), '$.medications.paracetamol.pediatricDosing.rules[0]');
+  });
+  withCuratedFile({ paracetamol: entry({ pediatricDosing: { rules: [{ ...perKg, doseMg: 250 }] } }) }, file => {
+    assertEqual(readCuratedFile(file).errors.length, 1);
+  });
+});
+
+test('unreadable JSON should be reported, not thrown', () => {
+  withCuratedFile('{ "medications": ', file => {
+    const result = readCuratedFile(file);
+    assertEqual(result.medications, null);
+    assertEqual(result.errors.length, 1);
+  });
+});
+
+console.log('\n🔎 Database Checks\n');
+
+test('matching entries should have no issues', () => {
+  const curated = {
+    paracetamol: entry({ brands: ['Alvedon', 'Panodil'] }),
+    levotyroxin: entry({ brands: ['Levaxin'], atc: 'H03AA01' })
+  };
+  assertEqual(checkCuratedMedications(curated, PRODUCTS).length, 0);
+});
+
+test('an unknown ATC code or one for another substance should be an error', () => {
+  const issues = checkCuratedMedications({
+    paracetamol: entry({ atc: 'M01AE01' }),
+    ibuprofen: entry({ brands: ['Ipren'], atc: 'M01AE99' })
+  }, PRODUCTS);
+  assertEqual(issues.length, 2);
+  assertEqual(issues[0].severity, 'error');
+  assertContains(issues[0].message, 'ATC code M01AE01 is Ibuprofen, not paracetamol');
+  assertContains(issues[1].message, 'No product with ATC code M01AE99');
+});
+
+test('a brand without products should be a warning', () => {
+  const issues = checkCuratedMedications({ paracetamol: entry({ brands: ['Alvedon', 'Pamol', 'Alv'] }) }, PRODUCTS);
+  assertEqual(issues.map(issue => issue.message).join('; '),
+    'Brand "Pamol" is not a product name in the database; Brand "Alv" is not a product name in the database');
+  assertEqual(issues[0].severity, 'warning');
+});
+
+test('the shipped entries should match the database', () => {
+  const report = validateCuratedMedications();
+  assertEqual(report.valid, true);
+  assertEqual(report.count, Object.keys(CURATED_MEDICATIONS).length);
+  assertContains(formatCuratedValidation(report), `✅ ${report.count} curated medications checked`);
+});
+
+console.log('\n💻 CLI\n');
+
+test('fass-lookup validate should fail on errors', () => {
+  withCuratedFile({ paracetamol: entry({ atc: 'M01AE01' }) }, file => {
+    const result = spawnSync(process.execPath, [CLI, 'validate', file, '--json'], { encoding: 'utf8' });
+    assertEqual(result.status, 1);
+    const report = JSON.parse(result.stdout);
+    assertEqual(report.valid, false);
+    assertEqual(report.issues[0].field, 'atc');
+  });
+});
+
+test('fass-lookup validate should report a broken shipped file instead of crashing', () => {
+  const broken = { paracetamol: entry({ useSv: undefined }) };
+  const report = runWithShippedFile(broken, ['validate']);
+  assertEqual(report.status, 1);
+  assertContains(report.stdout, '### ❌ Schema');
+  assertContains(report.stdout, 'useSv');
+
+  const flagsFirst = runWithShippedFile(broken, ['--lang', 'sv', '--json', 'validate']);
+  assertEqual(flagsFirst.status, 1);
+  assertContains(JSON.parse(flagsFirst.stdout).schemaErrors.join(), 'useSv');
+
+  const lookup = runWithShippedFile(broken, ['alvedon']);
+  assertEqual(lookup.status, 1);
+  assertContains(lookup.stderr, 'Invalid curated medications');
+  assertEqual(runWithShippedFile(broken, ['--stats']).status, 1);
+});
+
+finish();
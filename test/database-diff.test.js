@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Tests for the database diff and changelog
+ * Run with: npm test
+ */
+
+const { diffDatabases, formatChangelog } = require('../scripts/database-diff.js');
+const { createMedicationRecord, createDatabase } = require('../scripts/database.js');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+function med(fields) {
+  return createMedicationRecord({
+    strength: '500 mg',
+    form: 'Tablett',
+    manufacturer: 'Haleon Denmark ApS',
+    ...fields
+  });
+}
+
+const PREVIOUS = createDatabase([
+  med({ nplId: '1', name: 'Alvedon', activeSubstances: ['Paracetamol'], atcCode: 'N02BE01', prescriptionRequired: false }),
+  med({ nplId: '2', name: 'Ipren', activeSubstances: ['Ibuprofen'], atcCode: 'M01AE01', prescriptionRequired: true }),
+  med({ nplId: '3', name: 'Zantac', activeSubstances: ['Ranitidin'], atcCode: 'A02BA02', prescriptionRequired: false }),
+  med({ nplId: '4', name: 'Sertralin Accord', activeSubstances: ['Sertralin'], atcCode: 'N06AB06', manufacturer: 'Accord' })
+], '2026-01-01T00:00:00.000Z');
+
+const NEXT = createDatabase([
+  med({ nplId: '1', name: 'Alvedon', activeSubstances: ['Paracetamol'], atcCode: 'N02BE01', prescriptionRequired: false }),
+  med({ nplId: '2', name: 'Ipren', activeSubstances: ['Ibuprofen'], atcCode: 'M01AE01', prescriptionRequired: false }),
+  med({ nplId: '4', name: 'Sertralin Accord', activeSubstances: ['Sertralin'], atcCode: 'N06AB06', manufacturer: 'Accord Healthcare B.V.' }),
+  med({ nplId: '5', name: 'Voltaren', activeSubstances: ['Diklofenak'], atcCode: 'M01AB05', strength: '25 mg' })
+], '2026-02-01T00:00:00.000Z');
+
+console.log('\n🧪 Database Diff Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n🔀 diffDatabases\n');
+
+test('diffDatabases should find added, removed and unchanged products', () => {
+  const diff = diffDatabases(PREVIOUS, NEXT);
+  assertEqual(diff.from, '2026-01-01T00:00:00.000Z');
+  assertEqual(diff.to, '2026-02-01T00:00:00.000Z');
+  assertEqual(diff.summary.added, 1);
+  assertEqual(diff.summary.removed, 1);
+  assertEqual(diff.summary.changed, 2);
+  assertEqual(diff.summary.unchanged, 1);
+  assertEqual(diff.added[0].name, 'Voltaren');
+  assertEqual(diff.added[0].atcCode, 'M01AB05');
+  assertEqual(diff.removed[0].name, 'Zantac');
+});
+
+test('diffDatabases should report changed fields with old and new values', () => {
+  const diff = diffDatabases(PREVIOUS, NEXT);
+  const ipren = diff.changed.find(entry => entry.nplId === '2');
+  assertEqual(Object.keys(ipren.changes).join(), 'prescriptionRequired');
+  assertEqual(ipren.changes.prescriptionRequired.from, true);
+  assertEqual(ipren.changes.prescriptionRequired.to, false);
+
+  const sertralin = diff.changed.find(entry => entry.nplId === '4');
+  assertEqual(sertralin.changes.manufacturer.to, 'Accord Healthcare B.V.');
+});
+
+test('diffDatabases should compare substances and ATC codes', () => {
+  const next = createDatabase([
+    med({ nplId: '1', name: 'Alvedon', activeSubstances: ['Paracetamol', 'Koffein'], atcCode: 'N02BE51', prescriptionRequired: false })
+  ]);
+  const [entry] = diffDatabases(PREVIOUS, next).changed;
+  assertEqual(entry.changes.activeSubstances.from, 'Paracetamol');
+  assertEqual(entry.changes.activeSubstances.to, 'Paracetamol, Koffein');
+  assertEqual(entry.changes.atcCode.to, 'N02BE51');
+});
+
+test('diffDatabases of identical builds should find no changes', () => {
+  const diff = diffDatabases(PREVIOUS, PREVIOUS);
+  assertEqual(diff.summary.unchanged, 4);
+  assertEqual(diff.added.length + diff.removed.length + diff.changed.length, 0);
+});
+
+console.log('\n📝 formatChangelog\n');
+
+test('formatChangelog should summarize the diff in markdown', () => {
+  const output = formatChangelog(diffDatabases(PREVIOUS, NEXT));
+  assertContains(output, 'Medications Database Changes');
+  assertContains(output, '**Added:** 1 · **Removed:** 1 · **Changed:** 2 · **Unchanged:** 1');
+  assertContains(output, '### ➕ Added (1)');
+  assertContains(output, '**Voltaren** 25 mg (Tablett) · M01AB05 · Rx');
+  assertContains(output, '### ➖ Removed (1)');
+  assertContains(output, 'prescriptionRequired: Rx → OTC');
+  assertContains(output, 'manufacturer: Accord → Accord Healthcare B.V.');
+});
+
+test('formatChangelog should say when nothing changed', () => {
+  assertContains(formatChangelog(diffDatabases(PREVIOUS, PREVIOUS)), 'No changes.');
+});
+
+test('formatChangelog should truncate long lists', () => {
+  const many = Array.from({ length: 105 }, (_, i) => med({ nplId: `n${i}`, name: `Produkt ${i}`, activeSubstances: ['X'] }));
+  const output = formatChangelog(diffDatabases(createDatabase([]), createDatabase(many)));
+  assertContains(output, '### ➕ Added (105)');
+  assertContains(output, '…and 5 more (see changelog.json)');
+});
+
+finish();
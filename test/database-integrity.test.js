@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Tests for the database integrity checks
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createMedicationRecord, createDatabase, buildSubstanceIndex } = require('../scripts/database.js');
+const {
+  CHECKS,
+  checkDatabaseIntegrity,
+  checkDataDirectory,
+  formatIntegrityReport
+} = require('../scripts/database-integrity.js');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'database-integrity.js');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const MEDICATIONS = [
+  createMedicationRecord({ nplId: '19650101000019', name: 'Alvedon', activeSubstances: ['Paracetamol'], atcCode: 'N02BE01', strength: '500 mg', form: 'Tablett' }),
+  createMedicationRecord({ nplId: '20150416000034', name: 'Abacavir/Lamivudine Accord', activeSubstances: ['Abakavir', 'lamivudin'], atcCode: 'J05AR02' }),
+  createMedicationRecord({ nplId: '20100101000011', name: 'Ziagen', activeSubstances: ['abakavir'], atcCode: 'J05AF06' })
+];
+
+function issue(report, check) {
+  return report.issues.find(i => i.check === check);
+}
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fass-integrity-'));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('\n🧪 Database Integrity Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n🔗 References\n');
+
+test('a consistent database should pass', () => {
+  const report = checkDatabaseIntegrity(createDatabase(MEDICATIONS), buildSubstanceIndex(MEDICATIONS));
+  assertEqual(report.valid, true);
+  assertEqual(report.products, 3);
+  assertEqual(report.issues.map(i => i.check).join(), 'substanceVariants');
+});
+
+test('index entries without a product should be dangling references', () => {
+  const substances = { ...buildSubstanceIndex(MEDICATIONS), ibuprofen: ['19870101000012'] };
+  const report = checkDatabaseIntegrity(createDatabase(MEDICATIONS), substances);
+  assertEqual(report.valid, false);
+  assertEqual(issue(report, 'danglingReferences').count, 1);
+  assertEqual(issue(report, 'danglingReferences').examples[0], 'ibuprofen: `19870101000012`');
+});
+
+test('product substances missing from the index should be reported', () => {
+  const substances = buildSubstanceIndex(MEDICATIONS);
+  delete substances.paracetamol;
+  const report = checkDatabaseIntegrity(createDatabase(MEDICATIONS), substances);
+  assertEqual(issue(report, 'unindexedSubstances').examples[0], 'Alvedon `19650101000019`: "Paracetamol"');
+});
+
+test('index checks should be skipped without substances.json', () => {
+  const report = checkDatabaseIntegrity(createDatabase(MEDICATIONS));
+  assertEqual(report.substances, null);
+  assertEqual(report.valid, true);
+});
+
+console.log('\n🧾 Product Fields\n');
+
+test('duplicate and malformed nplIds should be errors', () => {
+  const medications = [...MEDICATIONS, { ...MEDICATIONS[0], name: 'Alvedon Novum', nameNormalized: 'alvedon novum' }, { ...MEDICATIONS[2], nplId: '2010' }];
+  const report = checkDatabaseIntegrity(createDatabase(medications));
+  assertEqual(issue(report, 'duplicateNplIds').examples[0], '`19650101000019`: Alvedon, Alvedon Novum');
+  assertEqual(issue(report, 'malformedNplIds').count, 1);
+  assertEqual(issue(report, 'duplicateNplIds').severity, 'error');
+});
+
+test('malformed ATC codes, stale nameNormalized and a wrong count should be errors', () => {
+  const medications = [
+    { ...MEDICATIONS[0], atcCode: 'N02BE1' },
+    { ...MEDICATIONS[1], nameNormalized: 'abacavir' },
+    { ...MEDICATIONS[2], atcCode: '' }
+  ];
+  const report = checkDatabaseIntegrity({ ...createDatabase(medications), count: 4 });
+  assertEqual(issue(report, 'malformedAtcCodes').examples[0], 'Alvedon `19650101000019`: "N02BE1"');
+  assertEqual(issue(report, 'nameNormalized').examples[0], 'Abacavir/Lamivudine Accord `20150416000034`: "abacavir"');
+  assertEqual(issue(report, 'countMismatch').examples[0], 'count 4, 3 products');
+  assertEqual(issue(report, 'missingAtcCodes').severity, 'warning');
+});
+
+test('substance spellings should be counted with examples', () => {
+  const report = checkDatabaseIntegrity(createDatabase(MEDICATIONS));
+  const variants = issue(report, 'substanceVariants');
+  assertEqual(variants.count, 1);
+  assertEqual(variants.examples[0], '"Abakavir" (1) vs "abakavir" (1)');
+});
+
+test('the report should list counts, examples and the outcome', () => {
+  const medications = Array.from({ length: 7 }, (_, i) => ({ ...MEDICATIONS[0], nplId: `1965010100001${i}`, activeSubstances: [] }));
+  const markdown = formatIntegrityReport(checkDatabaseIntegrity(createDatabase(medications)));
+  assertContains(markdown, '### ⚠️ Products without active substances (7)');
+  assertContains(markdown, '- *…and 2 more*');
+  assertContains(markdown, `✅ ${Object.keys(CHECKS).length} checks passed (1 with warnings).`);
+});
+
+console.log('\n📦 Shipped Data\n');
+
+test('the shipped database and substance index should pass', () => {
+  const report = checkDataDirectory(DATA_DIR);
+  assertEqual(report.issues.filter(i => i.severity === 'error').map(i => `${i.check}: ${i.examples[0]}`).join('; '), '');
+  assertEqual(report.valid, true);
+});
+
+test('a wrong count in the file should be reported even when migration recounts', () => {
+  withTempDir(dir => {
+    const compact = MEDICATIONS.map(med => ({ id: med.nplId, n: med.name, s: med.activeSubstances, a: med.atcCode }));
+    fs.writeFileSync(path.join(dir, 'medications.json'),
+      JSON.stringify({ version: '1.0.0', updated: null, count: 5, medications: compact }));
+    const report = checkDataDirectory(dir);
+    assertEqual(report.valid, false);
+    assertEqual(issue(report, 'countMismatch').examples[0], 'count 5, 3 products');
+
+    const { parsedStrength, ...v2 } = MEDICATIONS[0];
+    fs.writeFileSync(path.join(dir, 'medications.json'),
+      JSON.stringify({ schemaVersion: 2, updated: null, count: 2, medications: [v2] }));
+    assertEqual(issue(checkDataDirectory(dir), 'countMismatch').examples[0], 'count 2, 1 products');
+  });
+});
+
+test('nplIds and ATC codes should be checked as written, before migration normalizes them', () => {
+  withTempDir(dir => {
+    const records = MEDICATIONS.map(med => ({ ...med }));
+    records[0].atcCode = 'n02be01';
+    records[1].nplId = Number(records[1].nplId);
+    fs.writeFileSync(path.join(dir, 'medications.json'), JSON.stringify(createDatabase(records)));
+    const report = checkDataDirectory(dir);
+    assertEqual(report.issues.filter(i => i.severity === 'error').map(i => i.check).join(), 'malformedNplIds,malformedAtcCodes');
+    assertEqual(issue(report, 'malformedAtcCodes').examples[0], 'Alvedon `19650101000019`: "n02be01"');
+
+    const compact = MEDICATIONS.map(med => ({ id: Number(med.nplId), n: med.name, s: med.activeSubstances, a: med.atcCode.toLowerCase() }));
+    fs.writeFileSync(path.join(dir, 'medications.json'), JSON.stringify({ version: '1.0.0', updated: null, count: 3, medications: compact }));
+    const fromCompact = checkDataDirectory(dir);
+    assertEqual(issue(fromCompact, 'malformedNplIds').count, 3);
+    assertEqual(issue(fromCompact, 'malformedAtcCodes').count, 3);
+  });
+});
+
+test('the CLI should exit with 1 on errors', () => {
+  withTempDir(dir => {
+    fs.writeFileSync(path.join(dir, 'medications.json'), JSON.stringify(createDatabase(MEDICATIONS)));
+    fs.writeFileSync(path.join(dir, 'substances.json'), JSON.stringify({ paracetamol: ['19650101000019', '19990101000099'] }));
+    const result = spawnSync(process.execPath, [SCRIPT, dir, '--json'], { encoding: 'utf8', timeout: 30000 });
+    assertEqual(result.status, 1);
+    const report = JSON.parse(result.stdout);
+    assertEqual(issue(report, 'danglingReferences').count, 1);
+    assertEqual(issue(report, 'unindexedSubstances').count, 3);
+  });
+});
+
+finish();
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Tests for the medications database schema
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  SCHEMA_VERSION,
+  createMedicationRecord,
+  createDatabase,
+  buildSubstanceIndex,
+  detectSchemaVersion,
+  migrateDatabase,
+  readDatabaseFile,
+  findDatabaseFile
+} = require('../scripts/database.js');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+const FULL_RECORD = {
+  nplId: '19650101000019',
+  name: 'Alvedon',
+  nameNormalized: 'alvedon',
+  activeSubstances: ['Paracetamol'],
+  prescriptionRequired: false,
+  summary: 'Alvedon 500 mg (Tablett) Aktiv substans: Paracetamol. ATC: N02BE01.',
+  strength: '500 mg',
+  parsedStrength: [{ substance: 'Paracetamol', value: 500, unit: 'mg', per: null }],
+  form: 'Tablett',
+  atcCode: 'N02BE01',
+  manufacturer: 'Haleon Denmark ApS'
+};
+
+// Records before parsedStrength was added (versions 0 and 2)
+const RECORD_WITHOUT_PARSED_STRENGTH = { ...FULL_RECORD };
+delete RECORD_WITHOUT_PARSED_STRENGTH.parsedStrength;
+
+// What build-database.js wrote before the schema was versioned
+const COMPACT_DATABASE = {
+  version: '1.0.0',
+  updated: '2026-01-15T10:00:00.000Z',
+  count: 2,
+  medications: [
+    { id: '19650101000019', n: 'Alvedon', s: 'Paracetamol', a: 'N02BE01', f: 'Tablett', st: '500 mg', rx: false, m: 'Haleon Denmark ApS' },
+    { id: '20150416000034', n: 'Abacavir/Lamivudine Accord', s: 'Abakavir, lamivudin', a: 'J05AR02', f: 'Filmdragerad tablett', st: '600 mg/300 mg', rx: true, m: 'Accord Healthcare B.V.' }
+  ]
+};
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fass-db-'));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function assertThrows(fn, expectedMessage) {
+  let error = null;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  if (!error) throw new Error('Expected an error');
+  assertContains(error.message, expectedMessage);
+}
+
+console.log('\n🧪 Database Schema Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n🔢 Version Detection\n');
+
+test('detectSchemaVersion should recognize every known format', () => {
+  assertEqual(detectSchemaVersion([RECORD_WITHOUT_PARSED_STRENGTH]), 0);
+  assertEqual(detectSchemaVersion(COMPACT_DATABASE), 1);
+  assertEqual(detectSchemaVersion({ schemaVersion: 2, medications: [] }), 2);
+  assertEqual(detectSchemaVersion(createDatabase([FULL_RECORD])), SCHEMA_VERSION);
+});
+
+test('detectSchemaVersion should reject unknown formats', () => {
+  assertThrows(() => detectSchemaVersion({ drugs: [] }), 'Unrecognized');
+});
+
+test('migrateDatabase should reject newer schema versions', () => {
+  assertThrows(() => migrateDatabase({ schemaVersion: SCHEMA_VERSION + 1, medications: [] }), 'Unsupported database schema version');
+});
+
+console.log('\n🔄 Migration\n');
+
+test('migrateDatabase should wrap a bare array and parse strengths', () => {
+  const db = migrateDatabase([RECORD_WITHOUT_PARSED_STRENGTH]);
+  assertEqual(db.schemaVersion, SCHEMA_VERSION);
+  assertEqual(db.updated, null);
+  assertEqual(db.count, 1);
+  assertEqual(JSON.stringify(db.medications[0]), JSON.stringify(FULL_RECORD));
+});
+
+test('migrateDatabase should add parsed strengths to version 2 databases', () => {
+  const updated = new Date().toISOString();
+  const db = migrateDatabase({ schemaVersion: 2, updated, count: 1, medications: [{ ...RECORD_WITHOUT_PARSED_STRENGTH }] });
+  assertEqual(db.schemaVersion, SCHEMA_VERSION);
+  assertEqual(db.updated, updated);
+  assertEqual(JSON.stringify(db.medications[0].parsedStrength), JSON.stringify(FULL_RECORD.parsedStrength));
+});
+
+test('migrateDatabase should expand compact builder records', () => {
+  const db = migrateDatabase(COMPACT_DATABASE);
+  assertEqual(db.schemaVersion, SCHEMA_VERSION);
+  assertEqual(db.updated, COMPACT_DATABASE.updated);
+  assertEqual(db.count, 2);
+  assertEqual(JSON.stringify(db.medications[0]), JSON.stringify(FULL_RECORD));
+
+  const combo = db.medications[1];
+  assertEqual(combo.nameNormalized, 'abacavir/lamivudine accord');
+  assertEqual(combo.activeSubstances.join('|'), 'Abakavir|lamivudin');
+  assertEqual(combo.prescriptionRequired, true);
+  assertContains(combo.summary, 'Aktiv substans: Abakavir, lamivudin.');
+});
+
+test('createMedicationRecord should fill in missing fields', () => {
+  const med = createMedicationRecord({ nplId: 1, name: 'Test', activeSubstances: '' });
+  assertEqual(med.nplId, '1');
+  assertEqual(med.strength, '');
+  assertEqual(med.activeSubstances.length, 0);
+  assertEqual(med.prescriptionRequired, true);
+  assertEqual(med.summary, 'Test');
+  assertEqual(med.parsedStrength, null);
+});
+
+test('buildSubstanceIndex should map lowercase substances to nplIds', () => {
+  const index = buildSubstanceIndex(migrateDatabase(COMPACT_DATABASE).medications);
+  assertEqual(index.paracetamol.join(), '19650101000019');
+  assertEqual(index.abakavir.join(), '20150416000034');
+  assertEqual(index.lamivudin.join(), '20150416000034');
+});
+
+console.log('\n💾 Files\n');
+
+test('readDatabaseFile should read plain and gzipped JSON', () => {
+  withTempDir(dir => {
+    const db = createDatabase([FULL_RECORD], '2026-02-01T00:00:00.000Z');
+    const jsonPath = path.join(dir, 'medications.json');
+    const gzPath = path.join(dir, 'medications.json.gz');
+    fs.writeFileSync(jsonPath, JSON.stringify(db));
+    fs.writeFileSync(gzPath, zlib.gzipSync(JSON.stringify(db)));
+
+    assertEqual(JSON.stringify(readDatabaseFile(jsonPath)), JSON.stringify(db));
+    assertEqual(JSON.stringify(readDatabaseFile(gzPath)), JSON.stringify(db));
+  });
+});
+
+test('readDatabaseFile should migrate a gzipped compact database', () => {
+  withTempDir(dir => {
+    const gzPath = path.join(dir, 'medications.json.gz');
+    fs.writeFileSync(gzPath, zlib.gzipSync(JSON.stringify(COMPACT_DATABASE)));
+    const db = readDatabaseFile(gzPath);
+    assertEqual(db.schemaVersion, SCHEMA_VERSION);
+    assertEqual(db.medications[1].name, 'Abacavir/Lamivudine Accord');
+  });
+});
+
+test('findDatabaseFile should prefer plain JSON and fall back to gzip', () => {
+  withTempDir(dir => {
+    assertEqual(findDatabaseFile(dir), null);
+    fs.writeFileSync(path.join(dir, 'medications.json.gz'), '');
+    assertEqual(path.basename(findDatabaseFile(dir)), 'medications.json.gz');
+    fs.writeFileSync(path.join(dir, 'medications.json'), '');
+    assertEqual(path.basename(findDatabaseFile(dir)), 'medications.json');
+  });
+});
+
+test('shipped database should load through the current schema', () => {
+  const dbPath = findDatabaseFile(path.join(__dirname, '..', 'data'));
+  if (!dbPath) return;
+  const db = readDatabaseFile(dbPath);
+  assertEqual(db.schemaVersion, SCHEMA_VERSION);
+  assertEqual(db.count, db.medications.length);
+});
+
+finish();
@@ -7,46 +7,52 @@
 const { 
   lookupMedication, 
   findMedication, 
+  searchMedications,
+  formatSearchResults,
+  searchByIndication,
+  suggestMedications,
+  checkInteraction,
+  formatInteractionCheck,
+  reviewMedicationList,
+  formatMedicationReview,
+  findDuplicateTherapies,
+  searchByAtc,
+  getAtcName,
+  getAtcTree,
+  formatAtcTree,
+  findEquivalents,
+  formatEquivalents,
+  checkDose,
+  formatDoseCheck,
+  pediatricDose,
+  formatPediatricDose,
   getFassUrl, 
+  getDataAge,
+  getDatabaseStats,
+  DATABASE_INFO,
   COMMON_MEDICATIONS 
 } = require('../scripts/fass_lookup.js');
+const { normalizeForMatch, editDistance } = require('../scripts/fuzzy.js');
 
-let passed = 0;
-let failed = 0;
+const {
+  test,
+  assertEqual,
+  assertContains,
+  assertNotNull,
+  assertNull,
+  finish
+} = require('./helpers');
 
-function test(name, fn) {
+/**
+ * Run `fn` with another build date for the loaded database (null for none)
+ */
+function withBuildDate(updated, fn) {
+  const original = DATABASE_INFO.updated;
+  DATABASE_INFO.updated = updated;
   try {
     fn();
-    console.log(`✅ ${name}`);
-    passed++;
-  } catch (err) {
-    console.log(`❌ ${name}`);
-    console.log(`   ${err.message}`);
-    failed++;
-  }
-}
-
-function assertEqual(actual, expected, msg = '') {
-  if (actual !== expected) {
-    throw new Error(`Expected "${expected}" but got "${actual}" ${msg}`);
-  }
-}
-
-function assertContains(str, substring, msg = '') {
-  if (!str.includes(substring)) {
-    throw new Error(`Expected string to contain "${substring}" ${msg}`);
-  }
-}
-
-function assertNotNull(val, msg = '') {
-  if (val === null || val === undefined) {
-    throw new Error(`Expected non-null value ${msg}`);
-  }
-}
-
-function assertNull(val, msg = '') {
-  if (val !== null) {
-    throw new Error(`Expected null but got ${JSON.stringify(val)} ${msg}`);
+  } finally {
+    DATABASE_INFO.updated = original;
   }
 }
 
@@ -65,6 +71,26 @@ test('COMMON_MEDICATIONS should have medications', () => {
   }
 });
 
+test('getDataAge should report the database build date and age', () => {
+  const updated = new Date().toISOString();
+  withBuildDate(updated, () => {
+    const age = getDataAge(new Date(Date.parse(updated) + 10.5 * 24 * 60 * 60 * 1000));
+    assertEqual(age.updated, updated);
+    assertEqual(age.days, 10);
+  });
+  withBuildDate(null, () => assertNull(getDataAge()));
+});
+
+test('lookupMedication should show data age for database products', () => {
+  const updated = new Date().toISOString();
+  withBuildDate(updated, () => {
+    assertContains(lookupMedication('Abacavir 2care4'), `*Database updated ${updated.substring(0, 10)} (0 days ago)*`);
+  });
+  withBuildDate(null, () => {
+    assertEqual(lookupMedication('Abacavir 2care4').includes('Database updated'), false);
+  });
+});
+
 test('Each medication should have required fields', () => {
   const required = ['brands', 'use', 'dose', 'otc', 'warnings', 'atc'];
   for (const [name, med] of Object.entries(COMMON_MEDICATIONS)) {
@@ -150,6 +176,272 @@ test('findMedication should find Zoloft -> sertralin', () => {
   assertEqual(result.name, 'sertralin');
 });
 
+test('findMedication should pick the product matching strength and form', () => {
+  const result = findMedication('Ipren 400 mg tablett');
+  assertNotNull(result);
+  assertEqual(result.name, 'Ipren');
+  assertEqual(result.dose, '400 mg');
+  assertEqual(result.form, 'Filmdragerad tablett');
+  assertEqual(findMedication('Ipren gel').form, 'Gel');
+});
+
+test('findMedication should understand "alvedon 500mg"', () => {
+  const result = findMedication('alvedon 500mg');
+  assertNotNull(result);
+  assertEqual(result.name, 'Alvedon');
+  assertEqual(result.dose, '500 mg');
+});
+
+test('findMedication should compare query strengths by value', () => {
+  const result = findMedication('Zinacef 1500 mg');
+  assertNotNull(result);
+  assertEqual(result.dose, '1,5 g');
+});
+
+test('findMedication should prefer products named like the query', () => {
+  const result = findMedication('sertralin 50mg');
+  assertNotNull(result);
+  assertContains(result.name.toLowerCase(), 'sertralin');
+  assertEqual(result.dose, '50 mg');
+});
+
+test('findMedication should fall back to the name when no product has the strength', () => {
+  const result = findMedication('alvedon 9999 mg');
+  assertNotNull(result);
+  assertEqual(result.name, 'paracetamol');
+  assertEqual(result.unmatched, '9999 mg');
+  assertContains(lookupMedication('alvedon 9999 mg'), 'No product with "9999 mg" found');
+});
+
+test('findMedication should not split product names containing numbers', () => {
+  assertEqual(findMedication('Amorest 28').name, 'Amorest 28');
+});
+
+test('findMedication should include parsed strength for database products', () => {
+  const result = findMedication('Abacavir/Lamivudine Accord');
+  assertNotNull(result);
+  const [abacavir, lamivudine] = result.parsedStrength;
+  assertEqual(abacavir.substance, 'Abakavir');
+  assertEqual(abacavir.value, 600);
+  assertEqual(lamivudine.substance, 'lamivudin');
+  assertEqual(lamivudine.value, 300);
+  assertEqual(lamivudine.unit, 'mg');
+});
+
+test('findMedication should add database products to curated hits', () => {
+  const { products } = findMedication('Alvedon');
+  assertNotNull(products);
+  assertEqual(products.otc + products.rx, products.total);
+  assertEqual(products.families.reduce((sum, family) => sum + family.variants.length, 0), products.total);
+  const alvedon = products.families.find(family => family.name === 'Alvedon');
+  assertNotNull(alvedon);
+  assertContains(alvedon.strengths.join(), '500 mg');
+  assertContains(products.manufacturers.join(), 'Haleon');
+  // Combination products such as paracetamol/kodein are left out
+  for (const family of products.families) {
+    assertEqual(family.substances.join(), 'Paracetamol', `for ${family.name}`);
+  }
+});
+
+test('searchMedications should include parsed strength for database products', () => {
+  const results = searchMedications('Abacavir/Lamivudine').results.filter(r => r.fromDatabase);
+  if (results.length === 0) throw new Error('Expected database results');
+  for (const result of results) {
+    assertEqual(result.parsedStrength.length, 2, `for ${result.name}`);
+  }
+});
+
+test('searchMedications should only list products with the queried strength', () => {
+  const { results } = searchMedications('ipren 400 mg');
+  if (results.length === 0) throw new Error('Expected database results');
+  for (const result of results) {
+    assertEqual(result.dose, '400 mg', `for ${result.name}`);
+  }
+});
+
+test('searchMedications should return the total and one page of results', () => {
+  const first = searchMedications('insulin', { limit: 5 });
+  if (first.total <= 10) throw new Error(`Expected more than 10 insulin results, got ${first.total}`);
+  assertEqual(first.results.length, 5);
+  const second = searchMedications('insulin', { limit: 5, offset: 5 });
+  assertEqual(second.total, first.total);
+  assertEqual(second.results[0].name, searchMedications('insulin', { limit: 6 }).results[5].name);
+});
+
+test('searchMedications should not cap database results at 10', () => {
+  const { total, results } = searchMedications('sertralin', { limit: 50 });
+  assertEqual(results.length, total);
+  if (total <= 10) throw new Error(`Expected more than 10 sertralin results, got ${total}`);
+});
+
+test('searchMedications should accept a number as the limit', () => {
+  assertEqual(searchMedications('insulin', 3).results.length, 3);
+});
+
+test('searchMedications should find OTC ibuprofen gels', () => {
+  const { total, results } = searchMedications('ibuprofen', { otcOnly: true, form: 'gel' });
+  assertEqual(total, 1);
+  assertEqual(results[0].name, 'Ipren');
+  assertEqual(results[0].form, 'Gel');
+  assertEqual(results[0].otc, true);
+});
+
+test('searchMedications should filter by prescription status', () => {
+  const rx = searchMedications('ibuprofen', { rxOnly: true, limit: 100 }).results;
+  if (rx.length === 0) throw new Error('Expected Rx ibuprofen products');
+  assertEqual(rx.every(r => r.otc === false), true);
+  const otc = searchMedications('ibuprofen', { otcOnly: true, limit: 100 }).results;
+  assertEqual(otc.every(r => r.otc === true), true);
+  assertEqual(otc.some(r => r.curated), true);
+});
+
+test('searchMedications should filter by form, manufacturer and ATC group', () => {
+  const tablets = searchMedications('paracetamol', { form: 'Tabletter', limit: 100 }).results;
+  assertEqual(tablets.every(r => r.form.toLowerCase().includes('tablett')), true);
+  const haleon = searchMedications('paracetamol', { manufacturer: 'HALEON', limit: 100 }).results;
+  assertEqual(haleon.length > 0 && haleon.every(r => r.manufacturer.includes('Haleon')), true);
+  const topical = searchMedications('ibuprofen', { atcPrefix: 'm02', limit: 100 }).results;
+  assertEqual(topical.length > 0 && topical.every(r => r.atc.startsWith('M02')), true);
+});
+
+test('searchMedications should collapse products into families', () => {
+  const { results } = searchMedications('ipren', { families: true });
+  const ipren = results.find(r => r.name === 'Ipren');
+  assertNotNull(ipren);
+  assertEqual(ipren.family, true);
+  assertEqual(ipren.strengths.join('; '), '5 %; 20 mg/ml; 60 mg; 200 mg; 400 mg');
+  assertContains(ipren.forms.join('; '), 'Gel');
+  assertEqual(ipren.nplIds.length, ipren.variants.length);
+  assertEqual(ipren.atcCodes.join(), 'M01AE01,M02AA13');
+  assertEqual(results.filter(r => r.name === 'Ipren').length, 1);
+});
+
+test('searchMedications families should only hold variants that pass the filters', () => {
+  const { results } = searchMedications('ipren', { families: true, otcOnly: true });
+  const ipren = results.find(r => r.name === 'Ipren');
+  assertEqual(ipren.otc, true);
+  assertEqual(ipren.variants.every(v => v.otc), true);
+  const mixed = searchMedications('ipren', { families: true }).results.find(r => r.name === 'Ipren');
+  assertEqual(mixed.otc, 'mixed');
+});
+
+test('formatSearchResults should show family strengths, forms and product counts', () => {
+  const { total, results } = searchMedications('ipren', { families: true });
+  const output = formatSearchResults(results, 'ipren', total);
+  assertContains(output, '**Ipren** 🟡 OTC/Rx [M01AE01, M02AA13]');
+  assertContains(output, '5 %; 20 mg/ml; 60 mg; 200 mg; 400 mg · ');
+  assertContains(output, 'Film-coated tablet; Gel');
+  assertContains(output, ' products');
+  assertContains(formatSearchResults(results, 'ipren', { total, lang: 'sv' }), 'Filmdragerad tablett; Gel');
+});
+
+test('formatSearchResults should say which page is shown', () => {
+  const { total, results } = searchMedications('insulin', { limit: 5, offset: 5 });
+  assertContains(formatSearchResults(results, 'insulin', total, 5), `*Showing 6–10 of ${total}*`);
+});
+
+// ============================================
+// Fuzzy Matching Tests
+// ============================================
+console.log('\n🔤 Fuzzy Matching Tests\n');
+
+test('normalizeForMatch should fold Swedish diacritics', () => {
+  assertEqual(normalizeForMatch('Läkemedel'), normalizeForMatch('lakemedel'));
+  assertEqual(normalizeForMatch('Ångest'), 'angest');
+});
+
+test('normalizeForMatch should map English spellings to Swedish', () => {
+  assertEqual(normalizeForMatch('sertraline'), normalizeForMatch('sertralin'));
+  assertEqual(normalizeForMatch('diclofenac'), normalizeForMatch('diklofenak'));
+  assertEqual(normalizeForMatch('methylphenidate'), normalizeForMatch('metylfenidat'));
+});
+
+test('editDistance should count edits and transpositions', () => {
+  assertEqual(editDistance('paracetamoll', 'paracetamol'), 1);
+  assertEqual(editDistance('alvedom', 'alvedon'), 1);
+  assertEqual(editDistance('ipern', 'ipren'), 1);
+  assertEqual(editDistance('abc', 'xyz'), 3);
+});
+
+test('findMedication should tolerate typos ("paracetamoll", "alvedom")', () => {
+  assertEqual(findMedication('paracetamoll').name, 'paracetamol');
+  assertEqual(findMedication('alvedom').name, 'paracetamol');
+  assertEqual(findMedication('paracetamoll').correctedFrom, 'paracetamoll');
+});
+
+test('findMedication should accept English spellings ("sertraline")', () => {
+  const result = findMedication('sertraline');
+  assertNotNull(result);
+  assertEqual(result.name, 'sertralin');
+});
+
+test('suggestMedications should rank the closest name first', () => {
+  const suggestions = suggestMedications('paracetmol500');
+  if (suggestions.length === 0) throw new Error('Expected suggestions');
+  assertEqual(suggestions[0].name, 'paracetamol');
+});
+
+test('lookupMedication should print "Did you mean" suggestions', () => {
+  const result = lookupMedication('paracetmol500');
+  assertContains(result, 'Did you mean');
+  assertContains(result, 'paracetamol');
+});
+
+// ============================================
+// searchByIndication Tests
+// ============================================
+console.log('\n🩺 searchByIndication Tests\n');
+
+test('searchByIndication should find medications for "blood pressure"', () => {
+  const results = searchByIndication('blood pressure');
+  if (results.length === 0) throw new Error('Expected results for "blood pressure"');
+  assertEqual(results[0].name, 'metoprolol');
+  for (const med of results.filter(r => r.fromDatabase)) {
+    if (!/^C0[2-9]/.test(med.atc)) {
+      throw new Error(`${med.name} [${med.atc}] is not a cardiovascular product`);
+    }
+  }
+});
+
+test('searchByIndication should understand Swedish synonyms ("blodtryck")', () => {
+  const results = searchByIndication('blodtryck');
+  if (!results.some(r => r.atc.startsWith('C07'))) {
+    throw new Error('Expected a beta blocker for "blodtryck"');
+  }
+});
+
+test('searchByIndication should leave out pulmonary hypertension drugs (C02KX) for blood pressure', () => {
+  const results = searchByIndication('blood pressure', { limit: Infinity });
+  assertEqual(results.filter(r => r.atc && r.atc.startsWith('C02KX')).map(r => r.name).join(), '');
+  if (!results.some(r => r.atc && r.atc.startsWith('C02CA'))) throw new Error('Expected an alpha blocker');
+});
+
+test('searchByIndication should find ADHD medications', () => {
+  const results = searchByIndication('ADHD', 10);
+  const names = results.map(r => r.name);
+  assertContains(names.join(','), 'metylfenidat');
+  assertContains(names.join(','), 'atomoxetin');
+});
+
+test('searchByIndication should match ATC group names', () => {
+  const results = searchByIndication('diuretika', 5);
+  if (results.length === 0 || !results.every(r => r.atc.startsWith('C03'))) {
+    throw new Error('Expected diuretics (C03) for "diuretika"');
+  }
+});
+
+test('searchByIndication should spread results across substances', () => {
+  const results = searchByIndication('blood pressure', 20);
+  const substances = new Set(results.map(r => (r.substances || []).join('/')));
+  if (substances.size < 10) {
+    throw new Error(`Expected varied substances, got ${substances.size}`);
+  }
+});
+
+test('searchByIndication should return nothing for unrelated queries', () => {
+  assertEqual(searchByIndication('nonexistentdrug12345').length, 0);
+});
+
 // ============================================
 // getFassUrl Tests
 // ============================================
@@ -221,6 +513,621 @@ test('lookupMedication should show prescription status for Rx meds', () => {
   assertContains(result, 'receptbelagt');
 });
 
+test('lookupMedication should list the products of curated medications', () => {
+  const result = lookupMedication('warfarin');
+  assertContains(result, '### 🇸🇪 Products in Sweden');
+  assertContains(result, '2 products (0 OTC, 2 Rx)');
+  assertContains(result, '- **Waran** 🔴 Rx — 2,5 mg · Tablet');
+  withBuildDate(new Date().toISOString(), () => {
+    assertContains(lookupMedication('warfarin'), '*Database updated');
+  });
+  assertContains(lookupMedication('warfarin', { lang: 'sv' }), '2 produkter (0 receptfria, 2 receptbelagda)');
+});
+
+test('lookupMedication should point to a family search when products are cut off', () => {
+  const { products } = findMedication('paracetamol');
+  const result = lookupMedication('paracetamol');
+  assertContains(result, `and ${products.families.length - 10} more: fass-lookup --search paracetamol --families`);
+});
+
+// ============================================
+// checkInteraction Tests
+// ============================================
+console.log('\n⚠️  checkInteraction Tests\n');
+
+test('checkInteraction should resolve brand names to substances', () => {
+  const result = checkInteraction('Waran', 'Ipren');
+  assertEqual(result.drugA.substances[0], 'warfarin');
+  assertEqual(result.drugB.substances[0], 'ibuprofen');
+});
+
+test('checkInteraction should find warfarin + ibuprofen (severity D)', () => {
+  const result = checkInteraction('warfarin', 'ipren');
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].severity, 'D');
+  assertEqual(result.interactions[0].severityLevel.color, 'red');
+});
+
+test('checkInteraction should work in both directions', () => {
+  const forward = checkInteraction('warfarin', 'ibuprofen');
+  const reverse = checkInteraction('ibuprofen', 'warfarin');
+  assertEqual(reverse.interactions.length, forward.interactions.length);
+  assertEqual(reverse.interactions[0].severity, forward.interactions[0].severity);
+});
+
+test('checkInteraction should return no interactions for a safe pair', () => {
+  const result = checkInteraction('Alvedon', 'Zoloft');
+  assertEqual(result.interactions.length, 0);
+});
+
+test('checkInteraction should handle substances only in interaction list', () => {
+  const result = checkInteraction('metformin', 'kontrastmedel');
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].severity, 'C');
+});
+
+test('checkInteraction should match ATC group rules (warfarin + naproxen)', () => {
+  const result = checkInteraction('Waran', 'naproxen');
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].severity, 'D');
+  assertEqual(result.interactions[0].ruleType, 'atc');
+  assertEqual(result.interactions[0].rule, 'B01AA × M01A');
+});
+
+test('checkInteraction should catch warfarin + ketoprofen, which is only sold as a gel (M02AA)', () => {
+  const result = checkInteraction('Waran', 'ketoprofen');
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].rule, 'B01AA × M02AA');
+  assertEqual(result.interactions[0].severity, 'C');
+});
+
+test('checkInteraction should match mixed substance/ATC rules in both directions', () => {
+  const forward = checkInteraction('litium', 'naproxen');
+  const reverse = checkInteraction('naproxen', 'litium');
+  assertEqual(forward.interactions.length, 1);
+  assertEqual(reverse.interactions.length, 1);
+  assertEqual(forward.interactions[0].rule, 'litium × M01A');
+});
+
+test('checkInteraction should prefer substance rules over ATC group rules', () => {
+  const result = checkInteraction('warfarin', 'ibuprofen');
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].ruleType, 'substance');
+  assertEqual(result.interactions[0].rule, 'warfarin × ibuprofen');
+});
+
+test('checkInteraction should expose the ATC codes it matched on', () => {
+  const result = checkInteraction('Waran', 'naproxen');
+  if (!result.drugA.atcCodes.includes('B01AA03')) {
+    throw new Error(`Expected B01AA03 in ${result.drugA.atcCodes.join(', ')}`);
+  }
+});
+
+test('checkInteraction should resolve substance names before product names', () => {
+  // "morfin" is part of apomorfin (Dacepton), a Parkinson drug
+  const result = checkInteraction('Morfin', 'Oxascand');
+  assertEqual(result.drugA.substances.join(), 'morfin');
+  assertEqual(result.drugA.atcCodes.some(code => code.startsWith('N02A')), true);
+  assertEqual(result.interactions.length, 1);
+  assertEqual(result.interactions[0].severity, 'D');
+  assertEqual(checkInteraction('morfin', 'oxazepam').interactions[0].severity, 'D');
+});
+
+test('checkInteraction should not add ingredients of combination products', () => {
+  // "kodein" also matches Citodon (paracetamol + kodein)
+  const result = checkInteraction('kodein', 'warfarin');
+  assertEqual(result.drugA.substances.join(), 'kodein');
+  assertEqual(result.interactions.some(i => i.drug1 === 'paracetamol' || i.drug2 === 'paracetamol'), false);
+  // Naming the combination product still checks all its ingredients
+  assertEqual(checkInteraction('Citodon', 'warfarin').drugA.substances.join(), 'paracetamol,kodein');
+});
+
+test('formatInteractionCheck should render severity, mechanism and recommendation', () => {
+  const output = formatInteractionCheck(checkInteraction('Waran', 'Ipren'));
+  assertContains(output, 'Severity:** D');
+  assertContains(output, 'Should be avoided');
+  assertContains(output, 'Rule:** warfarin × ibuprofen');
+  assertContains(output, 'Mechanism');
+  assertContains(output, 'Recommendation');
+  assertContains(output, 'informational only');
+});
+
+test('formatInteractionCheck should not claim safety when nothing is found', () => {
+  const output = formatInteractionCheck(checkInteraction('Alvedon', 'Zoloft'));
+  assertContains(output, 'No known interaction');
+  assertContains(output, 'does not rule out');
+});
+
+// ============================================
+// reviewMedicationList Tests
+// ============================================
+console.log('\n📝 reviewMedicationList Tests\n');
+
+test('reviewMedicationList should check every pair in the list', () => {
+  const report = reviewMedicationList(['Waran', 'Ipren', 'Sertralin', 'Tramadol']);
+  assertEqual(report.medications.length, 4);
+  assertEqual(report.interactions.length, 3);
+});
+
+test('reviewMedicationList should sort interactions by severity', () => {
+  const report = reviewMedicationList(['Sertralin', 'Tramadol', 'Ipren', 'Waran']);
+  assertEqual(report.interactions[0].severity, 'D');
+  assertEqual(report.interactions[report.interactions.length - 1].severity, 'C');
+});
+
+test('reviewMedicationList should record which entries interact', () => {
+  const report = reviewMedicationList(['Waran', 'Ipren']);
+  assertEqual(report.interactions[0].between.join(' + '), 'Waran + Ipren');
+});
+
+test('reviewMedicationList should list unresolved names separately', () => {
+  const report = reviewMedicationList(['Waran', 'nonexistentdrug12345', 'Ipren', '']);
+  assertEqual(report.medications.length, 2);
+  assertEqual(report.unresolved.length, 1);
+  assertEqual(report.unresolved[0], 'nonexistentdrug12345');
+});
+
+test('reviewMedicationList should not resolve name fragments to unrelated drugs', () => {
+  const report = reviewMedicationList(['Waran', 'bar', 'ask', 'ipren gel', 'alvedom']);
+  assertEqual(report.unresolved.join(), 'bar,ask');
+  assertEqual(report.medications.map(drug => drug.substances.join('/')).join(), 'warfarin,ibuprofen,paracetamol');
+  assertEqual(checkInteraction('Waran', 'bar').drugB.resolved, false);
+});
+
+test('formatMedicationReview should include summary and unresolved section', () => {
+  const output = formatMedicationReview(reviewMedicationList(['Waran', 'Ipren', 'nonexistentdrug12345']));
+  assertContains(output, '1 × D');
+  assertContains(output, 'Between:** Waran + Ipren');
+  assertContains(output, 'Not Found');
+  assertContains(output, 'nonexistentdrug12345');
+});
+
+// ============================================
+// findDuplicateTherapies Tests
+// ============================================
+console.log('\n👯 findDuplicateTherapies Tests\n');
+
+test('findDuplicateTherapies should flag two NSAIDs (Ipren + Voltaren)', () => {
+  const { duplicates } = findDuplicateTherapies(['Ipren', 'Voltaren']);
+  assertEqual(duplicates.length, 1);
+  assertEqual(duplicates[0].type, 'atc');
+  assertEqual(duplicates[0].group, 'M01A');
+});
+
+test('findDuplicateTherapies should flag two SSRIs (Zoloft + Cipralex)', () => {
+  const { duplicates } = findDuplicateTherapies(['Zoloft', 'Cipralex'], { atcLevel: 4 });
+  assertEqual(duplicates.length, 1);
+  assertEqual(duplicates[0].group, 'N06AB');
+});
+
+test('findDuplicateTherapies should respect the configured ATC level', () => {
+  const { duplicates } = findDuplicateTherapies(['Ipren', 'Voltaren'], { atcLevel: 4 });
+  assertEqual(duplicates.length, 0);
+});
+
+test('findDuplicateTherapies should flag the same substance under different brands', () => {
+  const { duplicates } = findDuplicateTherapies(['Alvedon', 'Panodil']);
+  assertEqual(duplicates.length, 1);
+  assertEqual(duplicates[0].type, 'substance');
+  assertEqual(duplicates[0].group, 'paracetamol');
+});
+
+test('findDuplicateTherapies should only count substances that were named', () => {
+  // "kodein" matches Citodon by substring; its paracetamol must not duplicate Alvedon
+  const { medications, duplicates } = findDuplicateTherapies(['kodein', 'Alvedon']);
+  assertEqual(medications[0].substances.join(), 'kodein');
+  assertEqual(duplicates.length, 0);
+  // "morfin" is not apomorfin
+  assertEqual(findDuplicateTherapies(['morfin', 'Dacepton']).duplicates.length, 0);
+});
+
+test('reviewMedicationList should resolve substance names exactly', () => {
+  const report = reviewMedicationList(['morfin', 'Oxascand', 'kodein', 'Waran']);
+  assertEqual(report.medications.map(m => m.substances.join('+')).join(), 'morfin,oxazepam,kodein,warfarin');
+  assertEqual(report.interactions.some(i => i.severity === 'D' && i.atc1 === 'N02A'), true);
+  assertEqual(JSON.stringify(report).includes('paracetamol'), false);
+});
+
+test('findDuplicateTherapies should reject invalid ATC levels', () => {
+  let threw = false;
+  try {
+    findDuplicateTherapies(['Ipren', 'Voltaren'], { atcLevel: 7 });
+  } catch (err) {
+    threw = true;
+  }
+  if (!threw) throw new Error('Expected an error for ATC level 7');
+});
+
+test('reviewMedicationList should include therapeutic duplication', () => {
+  const report = reviewMedicationList(['Ipren', 'Voltaren', 'Alvedon']);
+  assertEqual(report.duplicates.length, 1);
+  const output = formatMedicationReview(report);
+  assertContains(output, 'Therapeutic Duplication');
+  assertContains(output, 'Same ATC group M01A');
+});
+
+// ============================================
+// ATC Tests
+// ============================================
+console.log('\n🌳 ATC Tests\n');
+
+test('searchByAtc should return all products in a group', () => {
+  const results = searchByAtc('N06AB');
+  if (results.length < 10) {
+    throw new Error(`Expected many SSRI products, got ${results.length}`);
+  }
+  for (const med of results) {
+    if (!med.atc.startsWith('N06AB')) {
+      throw new Error(`${med.name} has ATC ${med.atc}, outside N06AB`);
+    }
+  }
+});
+
+test('searchByAtc should be case-insensitive', () => {
+  assertEqual(searchByAtc('n06ab').length, searchByAtc('N06AB').length);
+});
+
+test('searchByAtc should reject malformed codes', () => {
+  let threw = false;
+  try {
+    searchByAtc('N6');
+  } catch (err) {
+    threw = true;
+  }
+  if (!threw) throw new Error('Expected an error for "N6"');
+});
+
+test('getAtcName should name groups in English and Swedish', () => {
+  const name = getAtcName('N06AB');
+  assertEqual(name.level, 4);
+  assertEqual(name.en, 'Selective serotonin reuptake inhibitors');
+  assertContains(name.sv, 'SSRI');
+});
+
+test('getAtcName should name level 5 codes after their substance', () => {
+  assertEqual(getAtcName('N02BE01').en, 'paracetamol');
+});
+
+test('getAtcTree should list ancestors and subgroups with counts', () => {
+  const tree = getAtcTree('N06AB');
+  assertEqual(tree.path.map(node => node.code).join(' > '), 'N > N06 > N06A');
+  const sertralin = tree.children.find(child => child.code === 'N06AB06');
+  assertNotNull(sertralin);
+  if (!(sertralin.count > 0)) throw new Error('Expected products under N06AB06');
+});
+
+test('formatAtcTree should show each level with both languages', () => {
+  const output = formatAtcTree(getAtcTree('N06AB'));
+  assertContains(output, 'Nervous system (Nervsystemet)');
+  assertContains(output, 'N06AB06 — sertralin');
+});
+
+// ============================================
+// findEquivalents Tests
+// ============================================
+console.log('\n💊 findEquivalents Tests\n');
+
+test('findEquivalents should list products with the same substance, strength and form', () => {
+  const { groups } = findEquivalents('Alvedon');
+  const tablets = groups.find(g => g.strength === '500 mg' && g.form === 'Filmdragerad tablett');
+  assertNotNull(tablets, '(Alvedon 500 mg film-coated tablets)');
+  const names = tablets.alternatives.map(alt => alt.name);
+  assertContains(names.join('|'), 'Panodil');
+  assertContains(names.join('|'), 'Alvedon Novum');
+  for (const alt of tablets.alternatives) {
+    assertEqual(alt.strength, '500 mg', `for ${alt.name}`);
+    assertEqual(alt.form, 'Filmdragerad tablett', `for ${alt.name}`);
+    assertNotNull(alt.manufacturer);
+    assertNotNull(alt.prescriptionRequired);
+  }
+});
+
+test('findEquivalents should give one group per strength and form of a product', () => {
+  const { groups } = findEquivalents('Alvedon');
+  const variants = new Set(groups.map(g => `${g.strength}|${g.form}`));
+  assertEqual(variants.size, groups.length);
+  if (groups.length < 5) throw new Error(`Expected several Alvedon variants, got ${groups.length}`);
+});
+
+test('findEquivalents should not mix forms or strengths', () => {
+  const { groups } = findEquivalents('Alvedon');
+  const suppositories = groups.find(g => g.strength === '500 mg' && g.form === 'Suppositorium');
+  for (const alt of suppositories.alternatives) {
+    assertEqual(alt.form, 'Suppositorium');
+  }
+});
+
+test('findEquivalents should compare strengths across units', () => {
+  // Zinacef is listed as "1,5 g", its generics as "1500 mg"
+  const group = findEquivalents('Zinacef').groups.find(g => g.strength === '1,5 g');
+  assertNotNull(group, '(Zinacef 1,5 g)');
+  assertContains(group.alternatives.map(alt => alt.strength).join(), '1500 mg');
+});
+
+test('findEquivalents should narrow variants by strength and form', () => {
+  const { groups } = findEquivalents('Alvedon 500 mg filmdragerad tablett');
+  assertEqual(groups.length, 1);
+  assertEqual(groups[0].form, 'Filmdragerad tablett');
+});
+
+test('findEquivalents should accept an nplId', () => {
+  const med = findMedication('Abacavir 2care4');
+  const byName = findEquivalents('Abacavir 2care4');
+  const byId = findEquivalents(byName.groups[0].product.nplId);
+  assertEqual(byId.groups.length, 1);
+  assertEqual(byId.groups[0].product.name, med.name);
+  assertEqual(byId.groups[0].alternatives.length, byName.groups[0].alternatives.length);
+});
+
+test('findEquivalents should match strengths written differently', () => {
+  // Listed as "200mg/245mg"; its generics as "200 mg/245 mg"
+  const { groups } = findEquivalents('Emtricitabine/Tenofovir disoproxil Bijon');
+  assertEqual(groups.length, 1);
+  if (groups[0].alternatives.length === 0) throw new Error('Expected generics listed as "200 mg/245 mg"');
+  assertEqual(groups[0].alternatives[0].strength, '200 mg/245 mg');
+});
+
+test('findEquivalents should return no groups for unknown products', () => {
+  assertEqual(findEquivalents('nonexistentdrug12345').groups.length, 0);
+  assertContains(formatEquivalents(findEquivalents('nonexistentdrug12345')), 'No product named');
+});
+
+test('formatEquivalents should show manufacturer and Rx status', () => {
+  const output = formatEquivalents(findEquivalents('Alvedon'));
+  assertContains(output, '## Interchangeable Products: Alvedon');
+  assertContains(output, '### Alvedon 500 mg (Film-coated tablet)');
+  assertContains(output, '**Panodil** — Evolan Pharma AB · Rx (receptbelagt)');
+});
+
+// ============================================
+// checkDose Tests
+// ============================================
+console.log('\n💉 checkDose Tests\n');
+
+test('checkDose should flag a daily dose above the maximum', () => {
+  const result = checkDose('Alvedon 1 g', 5);
+  assertEqual(result.exceeded, true);
+  const [paracetamol] = result.substances;
+  assertEqual(paracetamol.substance, 'paracetamol');
+  assertEqual(paracetamol.dailyMg, 5000);
+  assertEqual(paracetamol.maxDailyMg, 4000);
+  assertEqual(paracetamol.status, 'over');
+  assertEqual(checkDose('Alvedon 1 g', 4).exceeded, false);
+});
+
+test('checkDose should sum a substance across brands', () => {
+  const result = checkDose(['Alvedon 1 g x3', 'Panodil 500 mg x3']);
+  assertEqual(result.entries.length, 2);
+  assertEqual(result.substances[0].dailyMg, 4500);
+  assertEqual(result.substances[0].entries.join(), 'Alvedon 1 g,Panodil 500 mg');
+  assertEqual(result.exceeded, true);
+});
+
+test('checkDose should count tablets per dose and flag large single doses', () => {
+  const result = checkDose([{ medication: 'Alvedon 500 mg', timesPerDay: 2, unitsPerDose: 3 }]);
+  assertEqual(result.entries[0].amounts[0].mgPerDose, 1500);
+  assertEqual(result.substances[0].dailyMg, 3000);
+  assertEqual(result.substances[0].overSingleDose.join(), 'Alvedon 500 mg');
+  assertEqual(result.substances[0].status, 'over');
+});
+
+test('checkDose should count combination products towards each substance', () => {
+  const result = checkDose(['Citodon x4', 'Alvedon 500 mg x4']);
+  const paracetamol = result.substances.find(s => s.substance === 'paracetamol');
+  const kodein = result.substances.find(s => s.substance === 'kodein');
+  assertEqual(paracetamol.dailyMg, 4000);
+  assertEqual(paracetamol.status, 'ok');
+  assertEqual(kodein.dailyMg, 120);
+  assertEqual(kodein.status, 'noLimit');
+});
+
+test('checkDose should list entries it cannot check with a reason', () => {
+  const { unresolved, entries } = checkDose(['Alvedon x3', 'Alvedon 500 mg', 'nonexistentdrug12345 5 mg x2', 'Alvedon 24 mg/ml x3']);
+  assertEqual(entries.length, 0);
+  assertEqual(unresolved.map(u => u.reason).join(), 'noStrength,noFrequency,notFound,notMass');
+});
+
+test('checkDose should only use limits for the population asked for', () => {
+  const result = checkDose('Alvedon 1 g', 5, { population: 'child' });
+  assertEqual(result.population, 'child');
+  assertEqual(result.substances[0].status, 'noLimit');
+  assertEqual(result.exceeded, false);
+});
+
+test('formatDoseCheck should show totals, limits and notes', () => {
+  const output = formatDoseCheck(checkDose(['Alvedon 1 g x3', 'Panodil 500 mg 2 tablets x2', 'Ipren 400 mg x3']));
+  assertContains(output, '### 🔴 Paracetamol: 5000 mg/day (max 4000 mg/day)');
+  assertContains(output, '- 2 × Panodil 500 mg × 2/day = 2000 mg');
+  assertContains(output, '**Exceeds the maximum daily dose by 1000 mg**');
+  assertContains(output, '### 🟢 Ibuprofen: 1200 mg/day (max 1200 mg/day)');
+  assertContains(output, '*Self-care (OTC) limit; prescribed doses can be higher*');
+  const sv = formatDoseCheck(checkDose('Waran 2,5 mg x1'), { lang: 'sv' });
+  assertContains(sv, '### ⚪ Warfarin: 2,5 mg/dygn');
+  assertContains(sv, 'Ingen maxdos registrerad');
+});
+
+// ============================================
+// pediatricDose Tests
+// ============================================
+console.log('\n👶 pediatricDose Tests\n');
+
+test('pediatricDose should give a weight-based dose range and daily maximum', () => {
+  const result = pediatricDose('paracetamol', { weight: '18kg' });
+  assertEqual(result.supported, true);
+  assertEqual(result.weightKg, 18);
+  assertEqual(`${result.dose.minMg}-${result.dose.maxMg}`, '180-270');
+  assertEqual(result.maxDailyMg, 1080);
+  assertEqual(`${result.timesPerDay.min}-${result.timesPerDay.max}`, '3-4');
+  assertEqual(result.unchecked.map(u => `${u.bound}=${u.value}`).join(), 'minAgeMonths=3');
+  assertEqual(pediatricDose('paracetamol', { weight: 18, age: 4 }).unchecked.length, 0);
+});
+
+test('pediatricDose should match the dose to products and amounts', () => {
+  const { products } = pediatricDose('Alvedon', { weight: 18 });
+  const liquid = products.find(p => p.strength === '24 mg/ml');
+  assertEqual(`${liquid.amount.min}-${liquid.amount.max} ${liquid.amount.unit}`, '7.5-11 ml');
+  const suppository = products.find(p => p.name === 'Alvedon' && p.strength === '250 mg' && p.form === 'Suppositorium');
+  assertEqual(suppository.amount.min, 1);
+  assertEqual(products.some(p => p.strength === '500 mg' || /Infusion/.test(p.form)), false);
+  assertEqual(products[0].otc, true);
+});
+
+test('pediatricDose should cap mg/kg doses at the maximum single dose', () => {
+  const result = pediatricDose('Ipren', { weight: 39, age: 11 });
+  assertEqual(`${result.dose.minMg}-${result.dose.maxMg}`, '195-390');
+  assertEqual(result.maxDailyMg, 1170);
+});
+
+test('pediatricDose should pick age bands and ask for a missing age', () => {
+  const result = pediatricDose('cetirizin', { age: '8 år' });
+  assertEqual(result.dose.minMg, 5);
+  assertEqual(result.timesPerDay.max, 2);
+  assertEqual(result.maxDailyMg, 10);
+  assertEqual(pediatricDose('cetirizin', { weight: 20 }).reason, 'needAge');
+  assertEqual(pediatricDose('Clarityn', { age: 5, weight: 35 }).dose.minMg, 10);
+  assertEqual(pediatricDose('desloratadin', { age: '18 months' }).products[0].amount.min, 2.5);
+});
+
+test('pediatricDose should refuse outside the supported ranges', () => {
+  const tooHeavy = pediatricDose('paracetamol', { weight: 45 });
+  assertEqual(tooHeavy.supported, false);
+  assertEqual(tooHeavy.reason, 'outOfRange');
+  assertEqual(tooHeavy.range.maxWeightKg, 40);
+  assertEqual(pediatricDose('ibuprofen', { weight: 8, age: '4 months' }).reason, 'outOfRange');
+  assertEqual(pediatricDose('Nurofen Apelsin', {}).reason, 'needWeight');
+  assertEqual(pediatricDose('naproxen', { weight: 30 }).reason, 'noRules');
+  assertEqual(pediatricDose('Citodon', { weight: 30 }).reason, 'noRules');
+  assertEqual(pediatricDose('nonexistentdrug12345', { weight: 30 }).reason, 'notFound');
+  assertEqual(pediatricDose('ibuprofen', { weight: 8, age: '4 months' }).dose, undefined);
+});
+
+test('pediatricDose should refuse adult ages even without an upper age bound', () => {
+  const adult = pediatricDose('paracetamol', { weight: 35, age: 30 });
+  assertEqual(adult.supported, false);
+  assertEqual(adult.reason, 'outOfRange');
+  assertEqual(adult.range.maxAgeMonths, 216);
+  assertEqual(pediatricDose('Ipren', { weight: 35, age: '18 år' }).reason, 'outOfRange');
+  assertEqual(pediatricDose('Ipren', { weight: 35, age: 17 }).supported, true);
+});
+
+test('pediatricDose should throw on a weight of 0 or an unreadable age', () => {
+  for (const options of [{ weight: 0 }, { weight: -5 }, { weight: 'heavy' }, { weight: 18, age: -1 }]) {
+    let error = null;
+    try {
+      pediatricDose('paracetamol', options);
+    } catch (e) {
+      error = e;
+    }
+    assertNotNull(error, `for ${JSON.stringify(options)}`);
+  }
+  assertEqual(pediatricDose('paracetamol', { weight: 5, age: 0 }).reason, 'outOfRange');
+});
+
+test('formatPediatricDose should show the dose, products and refusals', () => {
+  const output = formatPediatricDose(pediatricDose('paracetamol', { weight: 18 }));
+  assertContains(output, "## Children's Dose: Paracetamol (18 kg)");
+  assertContains(output, '**Dose:** 180–270 mg (10–15 mg/kg), 3–4 times a day');
+  assertContains(output, '**Age:** from 3 months (not checked)');
+  assertContains(output, '24 mg/ml · Oral solution: 7.5–11 ml');
+  const sv = formatPediatricDose(pediatricDose('paracetamol', { weight: 45 }), { lang: 'sv' });
+  assertContains(sv, '❌ Barnets vikt eller ålder ligger utanför doseringsreglerna för Paracetamol.');
+  assertContains(sv, 'Gäller: från 5 kg, under 40 kg; från 3 månader, under 18 år');
+  assertContains(formatPediatricDose(pediatricDose('loratadin', { age: 5, weight: 20 })), '**Dose:** 5 mg, once a day');
+});
+
+test('dose, children\'s dose and equivalents output should close with the shared footer', () => {
+  for (const lang of ['en', 'sv']) {
+    const outputs = [
+      formatDoseCheck(checkDose(['Alvedon 500 mg x3']), { lang }),
+      formatPediatricDose(pediatricDose('paracetamol', { weight: 18 }), { lang }),
+      formatEquivalents(findEquivalents('Alvedon'), { lang })
+    ];
+    for (const output of outputs) {
+      assertContains(output, lang === 'sv' ? '*Endast information.' : '*This is informational only.');
+      assertContains(output, lang === 'sv' ? '*Källor: FASS.se' : '*Sources: FASS.se');
+    }
+  }
+});
+
+// ============================================
+// Language Tests
+// ============================================
+console.log('\n🌐 Language Tests\n');
+
+test('lookupMedication should default to English', () => {
+  const output = lookupMedication('paracetamol');
+  assertContains(output, '**Use:** Pain relief, fever reduction');
+  assertEqual(output, lookupMedication('paracetamol', { lang: 'en' }));
+});
+
+test('lookupMedication should show curated texts and labels in Swedish', () => {
+  const output = lookupMedication('paracetamol', { lang: 'sv' });
+  assertContains(output, '## Läkemedelsuppslag: paracetamol');
+  assertContains(output, '**Användning:** Smärtlindring, febernedsättning');
+  assertContains(output, '**Dosering:** Vuxna: 500–1000 mg');
+  assertContains(output, '**Varningar:** Undvik vid leversjukdom');
+  assertContains(output, 'Fullständig information på FASS');
+  if (output.includes('Pain relief')) throw new Error('English text in Swedish output');
+});
+
+test('lookupMedication should translate the OTC note of curated entries', () => {
+  assertContains(lookupMedication('diklofenak', { lang: 'sv' }), '**Receptfritt:** Gel receptfri, tabletter receptbelagda');
+  assertContains(lookupMedication('diklofenak'), '**OTC:** Gel OTC, tablets Rx');
+});
+
+test('lookupMedication should show product forms in the chosen language', () => {
+  assertContains(lookupMedication('Ipren 400 mg tablett'), '**Form:** Film-coated tablet');
+  const sv = lookupMedication('Ipren 400 mg tablett', { lang: 'sv' });
+  assertContains(sv, '**Beredningsform:** Filmdragerad tablett');
+  assertContains(sv, '**Styrka:** 400 mg');
+  withBuildDate(new Date().toISOString(), () => {
+    assertContains(lookupMedication('Ipren 400 mg tablett', { lang: 'sv' }), 'Databasen uppdaterad');
+  });
+});
+
+test('lookupMedication should reject unsupported languages', () => {
+  let error = null;
+  try {
+    lookupMedication('paracetamol', { lang: 'de' });
+  } catch (e) {
+    error = e;
+  }
+  assertNotNull(error);
+  assertContains(error.message, 'Unsupported language "de"');
+});
+
+test('formatSearchResults should accept numbers or options for total and offset', () => {
+  const { total, results } = searchMedications('insulin', { limit: 5, offset: 5 });
+  assertEqual(formatSearchResults(results, 'insulin', total, 5), formatSearchResults(results, 'insulin', { total, offset: 5 }));
+  const sv = formatSearchResults(results, 'insulin', { total, offset: 5, lang: 'sv' });
+  assertContains(sv, `*Visar 6–10 av ${total}*`);
+  assertContains(sv, 'Receptbelagt');
+});
+
+test('searchByIndication should give reasons in the chosen language', () => {
+  const [curated] = searchByIndication('blodtryck', { lang: 'sv' });
+  assertContains(curated.matchedBy, 'Användning: Högt blodtryck');
+  assertEqual(searchByIndication('ADHD', { limit: 3 }).length, 3);
+});
+
+test('interaction and review output should use Swedish texts from the interaction list', () => {
+  const check = formatInteractionCheck(checkInteraction('Waran', 'Ipren'), { lang: 'sv' });
+  assertContains(check, '**Allvarlighetsgrad:** D — Interaktion som bör undvikas');
+  assertContains(check, '**Beskrivning:** Ökad blödningsrisk');
+  const review = formatMedicationReview(reviewMedicationList(['Waran', 'Ipren', 'nonexistentdrug12345']), { lang: 'sv' });
+  assertContains(review, '## Läkemedelsgenomgång (3 läkemedel)');
+  assertContains(review, '### Hittades inte');
+});
+
+test('ATC and equivalents output should be available in Swedish', () => {
+  const tree = formatAtcTree(getAtcTree('N06AB'), { lang: 'sv' });
+  assertContains(tree, 'N06AB — Selektiva serotoninåterupptagshämmare (SSRI) [');
+  assertContains(tree, 'produkter]');
+  const equivalents = formatEquivalents(findEquivalents('Alvedon'), { lang: 'sv' });
+  assertContains(equivalents, '### Alvedon 500 mg (Filmdragerad tablett)');
+  assertContains(equivalents, '**Panodil** — Evolan Pharma AB · Receptbelagt');
+});
+
 // ============================================
 // Integration Tests
 // ============================================
@@ -267,12 +1174,4 @@ test('Brand name lookups should return same info as substance', () => {
 // ============================================
 // Results
 // ============================================
-console.log('\n' + '─'.repeat(50));
-console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
-
-if (failed > 0) {
-  process.exit(1);
-} else {
-  console.log('🎉 All tests passed!\n');
-  process.exit(0);
-}
+finish();
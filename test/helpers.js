@@ -0,0 +1,82 @@
+/**
+ * Minimal test harness shared by the test files
+ */
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${err.message}`);
+    failed++;
+  }
+}
+
+/**
+ * Like test, for async functions; await it so results print in order
+ */
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ ${name}`);
+    console.log(`   ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, msg = '') {
+  if (actual !== expected) {
+    throw new Error(`Expected "${expected}" but got "${actual}" ${msg}`);
+  }
+}
+
+function assertContains(str, substring, msg = '') {
+  if (!str.includes(substring)) {
+    throw new Error(`Expected string to contain "${substring}" ${msg}`);
+  }
+}
+
+function assertNotNull(val, msg = '') {
+  if (val === null || val === undefined) {
+    throw new Error(`Expected non-null value ${msg}`);
+  }
+}
+
+function assertNull(val, msg = '') {
+  if (val !== null) {
+    throw new Error(`Expected null but got ${JSON.stringify(val)} ${msg}`);
+  }
+}
+
+/**
+ * Print the summary and exit with a failing code if any test failed
+ */
+function finish() {
+  console.log('\n' + '─'.repeat(50));
+  console.log(`\n📊 Results: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  } else {
+    console.log('🎉 All tests passed!\n');
+    process.exit(0);
+  }
+}
+
+module.exports = {
+  test,
+  testAsync,
+  assertEqual,
+  assertContains,
+  assertNotNull,
+  assertNull,
+  finish
+};
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Tests for output language support
+ * Run with: npm test
+ */
+
+const { FULL_DATABASE, COMMON_MEDICATIONS } = require('../scripts/fass_lookup.js');
+const { LANGUAGES, LABELS, normalizeLang, label, localized, formName } = require('../scripts/i18n.js');
+const DOSAGE_FORMS = require('../data/dosage-forms.json');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+console.log('\n🧪 Language Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n🏷️  Labels\n');
+
+test('normalizeLang should default to English and reject other languages', () => {
+  assertEqual(normalizeLang(undefined), 'en');
+  assertEqual(normalizeLang(' SV '), 'sv');
+  let message = '';
+  try {
+    normalizeLang('fi');
+  } catch (e) {
+    message = e.message;
+  }
+  assertContains(message, 'Unsupported language "fi", use en or sv');
+});
+
+test('label should fill placeholders and plurals', () => {
+  assertEqual(label('sv', 'showing', { from: 1, to: 20, total: 45 }), 'Visar 1–20 av 45');
+  assertEqual(label('en', 'products', 1), '1 product');
+  assertEqual(label('sv', 'products', 3), '3 produkter');
+  assertEqual(label(undefined, 'daysAgo', 2), '2 days ago');
+});
+
+test('every label should exist in every language with the same placeholders', () => {
+  const placeholders = text => (typeof text === 'function' ? 'plural' : (text.match(/\{\w+\}/g) || []).sort().join());
+  for (const lang of LANGUAGES) {
+    assertEqual(Object.keys(LABELS[lang]).sort().join(), Object.keys(LABELS.en).sort().join(), `for ${lang}`);
+    for (const [key, text] of Object.entries(LABELS[lang])) {
+      assertEqual(placeholders(text), placeholders(LABELS.en[key]), `for ${lang}.${key}`);
+    }
+  }
+});
+
+console.log('\n💊 Curated Texts\n');
+
+test('every curated medication should have Swedish use, dosage and warnings', () => {
+  for (const [name, info] of Object.entries(COMMON_MEDICATIONS)) {
+    for (const field of ['use', 'dose', 'warnings']) {
+      if (!info[`${field}Sv`]) throw new Error(`${name} has no ${field}Sv`);
+    }
+    if (typeof info.otc === 'string' && !info.otcSv) throw new Error(`${name} has no otcSv`);
+  }
+});
+
+test('localized should fall back to the English field', () => {
+  const entry = { use: 'Pain', useSv: 'Smärta', dose: '1 g' };
+  assertEqual(localized(entry, 'use', 'sv'), 'Smärta');
+  assertEqual(localized(entry, 'use', 'en'), 'Pain');
+  assertEqual(localized(entry, 'dose', 'sv'), '1 g');
+});
+
+console.log('\n💉 Dosage Forms\n');
+
+test('formName should translate Swedish forms into English', () => {
+  assertEqual(formName('Filmdragerad tablett', 'en'), 'Film-coated tablet');
+  assertEqual(formName('Injektionsvätska, lösning i förfylld injektionspenna', 'en'), 'Solution for injection in pre-filled pen');
+  assertEqual(formName('Filmdragerad tablett', 'sv'), 'Filmdragerad tablett');
+});
+
+test('formName should translate combined forms part by part and keep unknown forms', () => {
+  assertEqual(formName('Tablett + Gel', 'en'), 'Tablet + Gel');
+  assertEqual(formName('Okänd form', 'en'), 'Okänd form');
+  assertEqual(formName('', 'en'), '');
+});
+
+test('every form in the shipped database should have an English name', () => {
+  const missing = new Set(FULL_DATABASE.map(med => med.form).filter(form => form && !DOSAGE_FORMS[form]));
+  assertEqual(missing.size, 0, `(${[...missing].slice(0, 5).join(', ')})`);
+});
+
+finish();
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Tests for JSON output and its schema
+ * Run with: npm test
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  toMedicationJson,
+  lookupMedicationJson,
+  findMedication,
+  searchMedications,
+  searchByIndication,
+  searchByAtc,
+  CURATED_MEDICATIONS
+} = require('../scripts/fass_lookup.js');
+const { loadSchema, validate } = require('../scripts/json-schema.js');
+const { test, assertEqual, assertContains, finish } = require('./helpers');
+
+const SCHEMA = loadSchema('medication-result');
+const CLI = path.join(__dirname, '..', 'scripts', 'fass_lookup.js');
+
+/**
+ * Validate against the schema root, or one of its definitions
+ */
+function assertValid(value, definition) {
+  const schema = definition ? { $ref: `#/definitions/${definition}` } : SCHEMA;
+  const errors = validate(schema, value, SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(errors.slice(0, 3).join('; '));
+  }
+}
+
+function runCli(...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+  if (result.status !== 0) throw new Error(`Exit code ${result.status}: ${result.stdout}${result.stderr}`);
+  return result.stdout;
+}
+
+console.log('\n🧪 JSON Output Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n📐 Schema Validator\n');
+
+test('validate should accept matching values', () => {
+  const schema = { type: 'object', required: ['a'], properties: { a: { type: 'integer', minimum: 1 }, b: { enum: ['x', 'y'] } } };
+  assertEqual(validate(schema, { a: 2, b: 'x' }).length, 0);
+});
+
+test('validate should report the path of each problem', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: { name: { type: 'string' }, codes: { type: 'array', items: { type: 'string', pattern: '^[A-Z]' } } }
+  };
+  const errors = validate(schema, { codes: ['N02', 'x'], extra: 1 });
+  assertContains(errors.join('\n'), '$: missing required property "name"');
+  assertContains(errors.join('\n'), '$.codes[1]: "x" does not match');
+  assertContains(errors.join('\n'), '$: unexpected property "extra"');
+});
+
+test('validate should reject values matching "not"', () => {
+  const schema = { type: 'object', not: { required: ['note'] } };
+  assertEqual(validate(schema, {}).length, 0);
+  assertContains(validate(schema, { note: 'x' }).join(), '$: matches a schema it must not match');
+});
+
+test('validate should follow references and anyOf', () => {
+  const schema = {
+    definitions: { code: { type: 'string', pattern: '^\\d{14}$' } },
+    anyOf: [{ type: 'null' }, { $ref: '#/definitions/code' }]
+  };
+  assertEqual(validate(schema, null).length, 0);
+  assertEqual(validate(schema, '19650101000019').length, 0);
+  assertEqual(validate(schema, '123').length, 1);
+});
+
+console.log('\n💊 Medication Results\n');
+
+test('toMedicationJson should give curated entries the stable fields', () => {
+  const json = toMedicationJson(findMedication('Alvedon'));
+  assertValid(json);
+  assertEqual(json.source, 'curated');
+  assertEqual(json.substances.join(), 'paracetamol');
+  assertEqual(json.fassUrl, 'https://fass.se/search?query=paracetamol');
+  assertEqual(json.products.families[0].source, 'database');
+});
+
+test('toMedicationJson should give database products the stable fields', () => {
+  const json = toMedicationJson(findMedication('Abacavir/Lamivudine Accord'));
+  assertValid(json);
+  assertEqual(json.source, 'database');
+  assertEqual(json.warnings, null);
+  assertEqual(json.brands.join(), 'Abacavir/Lamivudine Accord');
+  assertEqual(json.parsedStrength.length, 2);
+});
+
+test('every curated entry should match the schema', () => {
+  for (const [name, info] of Object.entries(CURATED_MEDICATIONS)) {
+    assertValid(toMedicationJson({ name, ...info }));
+  }
+});
+
+test('search, family, indication and ATC results should match the schema', () => {
+  const lists = [
+    searchMedications('a', { limit: Infinity }).results,
+    searchMedications('insulin', { families: true, limit: Infinity }).results,
+    searchByIndication('blood pressure'),
+    searchByAtc('N02BE'),
+    [findMedication('paracetamoll'), findMedication('alvedon 9999 mg')]
+  ];
+  for (const results of lists) {
+    for (const result of results) assertValid(toMedicationJson(result));
+  }
+});
+
+test('lookupMedicationJson should describe hits and misses', () => {
+  const hit = lookupMedicationJson('Ipren 400 mg tablett');
+  assertValid(hit, 'lookup');
+  assertEqual(hit.found, true);
+  assertEqual(hit.result.form, 'Filmdragerad tablett');
+
+  const miss = lookupMedicationJson('alvedom');
+  assertValid(miss, 'lookup');
+  const unknown = lookupMedicationJson('qqqqqqqq');
+  assertValid(unknown, 'lookup');
+  assertEqual(unknown.found, false);
+  assertEqual(unknown.result, null);
+});
+
+console.log('\n🖥️  CLI\n');
+
+test('--json lookup should print a valid lookup document', () => {
+  const output = JSON.parse(runCli('alvedon', '500mg', '--json'));
+  assertValid(output, 'lookup');
+  assertEqual(output.result.dose, '500 mg');
+});
+
+test('--json search should print a valid result list', () => {
+  const output = JSON.parse(runCli('--search', 'insulin', '--json'));
+  assertValid(output, 'resultList');
+  assertEqual(output.query, 'insulin');
+  assertEqual(output.results.length, 20);
+  if (output.total <= 20) throw new Error(`Expected more than 20 results, got ${output.total}`);
+});
+
+test('--json search falling back to indications should print the total of all matches', () => {
+  const output = JSON.parse(runCli('--search', 'blodtryck', '--json'));
+  assertValid(output, 'resultList');
+  assertEqual(output.results.length, 20);
+  if (output.total <= 20) throw new Error(`Expected more than 20 results, got ${output.total}`);
+  const second = JSON.parse(runCli('--indication', 'blodtryck', '--page', '2', '--json'));
+  assertEqual(second.total, output.total);
+  assertEqual(second.offset, 20);
+});
+
+test('--ndjson search should print one valid result per line', () => {
+  const lines = runCli('--search', 'ibuprofen', '--otc', '--form', 'gel', '--ndjson').trim().split('\n');
+  assertEqual(lines.length, 1);
+  const result = JSON.parse(lines[0]);
+  assertValid(result);
+  assertEqual(result.name, 'Ipren');
+});
+
+test('--json should work for ATC, interaction and equivalents commands', () => {
+  const atc = JSON.parse(runCli('--atc', 'N02BE01', '--json'));
+  assertValid(atc, 'resultList');
+  assertEqual(atc.tree.code, 'N02BE01');
+
+  const check = JSON.parse(runCli('--interact', 'Waran', 'Ipren', '--json'));
+  assertEqual(check.interactions[0].severity, 'D');
+
+  const groups = runCli('--equivalents', 'Zinacef', '--ndjson').trim().split('\n').map(line => JSON.parse(line));
+  assertEqual(groups.length, 2);
+  assertContains(groups.map(group => group.strength).join(), '1,5 g');
+});
+
+finish();
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Tests for the MCP server
+ * Run with: npm test
+ *
+ * Speaks newline-delimited JSON-RPC to `fass-lookup mcp` over stdio.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadSchema, validate } = require('../scripts/json-schema.js');
+const { testAsync, assertEqual, assertContains, finish } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'fass_lookup.js');
+const SCHEMA = loadSchema('medication-result');
+
+/**
+ * Start the server; send(message) resolves with the response to a
+ * request, or after a short wait for notifications
+ */
+function startClient() {
+  const child = spawn(process.execPath, [CLI, 'mcp'], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const lines = [];
+  const waiting = [];
+  let buffer = '';
+
+  child.stdout.on('data', chunk => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      lines.push(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (waiting.length > 0) waiting.shift()(lines.shift());
+    }
+  });
+
+  const nextLine = () => new Promise((resolve, reject) => {
+    if (lines.length > 0) return resolve(lines.shift());
+    const timer = setTimeout(() => reject(new Error('No response within 10s')), 10000);
+    waiting.push(line => { clearTimeout(timer); resolve(line); });
+  });
+
+  return {
+    sendRaw: async text => {
+      child.stdin.write(text + '\n');
+      return JSON.parse(await nextLine());
+    },
+    send: async message => {
+      child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+      return JSON.parse(await nextLine());
+    },
+    notify: message => child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n'),
+    close: () => new Promise(resolve => {
+      child.on('exit', resolve);
+      child.stdin.end();
+    })
+  };
+}
+
+function assertValid(schema, value) {
+  const errors = validate(schema, value);
+  if (errors.length > 0) throw new Error(errors.slice(0, 3).join('; '));
+}
+
+async function run() {
+  console.log('\n🧪 MCP Server Tests\n');
+  console.log('─'.repeat(50));
+
+  const client = startClient();
+  let nextId = 1;
+  const call = (name, args) => client.send({ id: nextId++, method: 'tools/call', params: { name, arguments: args } });
+  let tools = [];
+  const toolSchema = name => tools.find(tool => tool.name === name).outputSchema;
+
+  console.log('\n🤝 Protocol\n');
+
+  await testAsync('initialize should agree on a protocol version and offer tools', async () => {
+    const response = await client.send({
+      id: nextId++,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0' } }
+    });
+    assertEqual(response.result.protocolVersion, '2025-06-18');
+    assertEqual(response.result.serverInfo.name, 'swedish-medications');
+    assertEqual(typeof response.result.capabilities.tools, 'object');
+    client.notify({ method: 'notifications/initialized' });
+  });
+
+  await testAsync('initialize should answer an unknown version with its own', async () => {
+    const response = await client.send({ id: nextId++, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+    assertEqual(response.result.protocolVersion, '2025-06-18');
+  });
+
+  await testAsync('notifications should get no response', async () => {
+    // The ping response is the next line only if the notification was not answered
+    client.notify({ method: 'notifications/initialized' });
+    const response = await client.send({ id: 'ping-1', method: 'ping' });
+    assertEqual(response.id, 'ping-1');
+    assertEqual(JSON.stringify(response.result), '{}');
+  });
+
+  await testAsync('tools/list should describe every tool with a JSON Schema', async () => {
+    const response = await client.send({ id: nextId++, method: 'tools/list' });
+    tools = response.result.tools;
+    for (const name of ['lookup_medication', 'search_medications', 'get_fass_url', 'check_interactions']) {
+      const tool = tools.find(t => t.name === name);
+      assertEqual(Boolean(tool), true, `for ${name}`);
+      assertEqual(tool.inputSchema.type, 'object', `for ${name}`);
+      assertEqual(typeof tool.description, 'string', `for ${name}`);
+    }
+    assertEqual(tools.some(tool => 'handler' in tool), false);
+  });
+
+  await testAsync('bad input should get JSON-RPC errors', async () => {
+    assertEqual((await client.sendRaw('{not json')).error.code, -32700);
+    assertEqual((await client.send({ id: nextId++, method: 'resources/list' })).error.code, -32601);
+    assertEqual((await client.send({ id: nextId++, method: 'tools/call', params: { name: 'nope' } })).error.code, -32602);
+    const invalid = await call('lookup_medication', { query: '' });
+    assertEqual(invalid.error.code, -32602);
+    assertContains(invalid.error.message, '$.query');
+    assertEqual((await call('search_medications', { query: 'ibuprofen', limit: 1000 })).error.code, -32602);
+  });
+
+  console.log('\n🔧 Tools\n');
+
+  await testAsync('lookup_medication should return structured content matching its schema', async () => {
+    const { result } = await call('lookup_medication', { query: 'Ipren 400 mg tablett' });
+    assertValid(toolSchema('lookup_medication'), result.structuredContent);
+    assertEqual(result.structuredContent.found, true);
+    assertEqual(result.structuredContent.result.form, 'Filmdragerad tablett');
+    assertEqual(result.content[0].type, 'text');
+    assertEqual(JSON.parse(result.content[0].text).result.name, result.structuredContent.result.name);
+  });
+
+  await testAsync('lookup_medication should report unknown names without failing', async () => {
+    const { result } = await call('lookup_medication', { query: 'qqqqqqqq' });
+    assertEqual(result.isError, undefined);
+    assertEqual(result.structuredContent.found, false);
+  });
+
+  await testAsync('search_medications should filter and page', async () => {
+    const { result } = await call('search_medications', { query: 'ibuprofen', otcOnly: true, form: 'gel' });
+    assertValid(toolSchema('search_medications'), result.structuredContent);
+    assertEqual(result.structuredContent.results[0].name, 'Ipren');
+
+    const page = await call('search_medications', { query: 'insulin', limit: 3, offset: 3 });
+    assertEqual(page.result.structuredContent.results.length, 3);
+    assertEqual(page.result.structuredContent.offset, 3);
+  });
+
+  await testAsync('browse_atc should page products and flag bad codes as tool errors', async () => {
+    const { result } = await call('browse_atc', { code: 'N06AB', limit: 2 });
+    assertValid(toolSchema('browse_atc'), result.structuredContent);
+    assertEqual(result.structuredContent.tree.code, 'N06AB');
+    assertEqual(result.structuredContent.results.length, 2);
+
+    const bad = await call('browse_atc', { code: 'QQ' });
+    assertEqual(bad.result.isError, true);
+    assertContains(bad.result.content[0].text, 'Invalid ATC code');
+  });
+
+  await testAsync('check_interactions should review the whole list', async () => {
+    const { result } = await call('check_interactions', { medications: ['Waran', 'Ipren', 'Sertralin'] });
+    assertEqual(result.structuredContent.medications.length, 3);
+    assertEqual(result.structuredContent.interactions[0].severity, 'D');
+    assertEqual((await call('check_interactions', { medications: ['Waran'] })).error.code, -32602);
+  });
+
+  await testAsync('find_equivalents, search_by_indication and get_fass_url should answer', async () => {
+    const equivalents = await call('find_equivalents', { product: 'Alvedon 500 mg' });
+    assertEqual(equivalents.result.structuredContent.groups.length > 0, true);
+
+    const indication = await call('search_by_indication', { query: 'blodtryck', limit: 5 });
+    assertValid(toolSchema('search_by_indication'), indication.result.structuredContent);
+
+    const url = await call('get_fass_url', { query: 'Alvedon' });
+    assertEqual(url.result.structuredContent.fassUrl, 'https://fass.se/search?query=Alvedon');
+  });
+
+  await testAsync('check_dose should sum substances across the regimen', async () => {
+    const response = await call('check_dose', {
+      regimen: [{ medication: 'Alvedon 1 g', timesPerDay: 3 }, { medication: 'Panodil 500 mg', timesPerDay: 3 }]
+    });
+    const result = response.result.structuredContent;
+    assertEqual(result.exceeded, true);
+    assertEqual(result.substances[0].dailyMg, 4500);
+  });
+
+  await testAsync('pediatric_dose should give a dose or refuse', async () => {
+    const dose = (await call('pediatric_dose', { medication: 'Ipren', weightKg: 10, ageYears: 1 })).result.structuredContent;
+    assertEqual(dose.supported, true);
+    assertEqual(`${dose.dose.minMg}-${dose.dose.maxMg}`, '50-100');
+    const refused = (await call('pediatric_dose', { medication: 'Ipren', weightKg: 10, ageYears: 0.25 })).result.structuredContent;
+    assertEqual(refused.reason, 'outOfRange');
+    const adult = (await call('pediatric_dose', { medication: 'Ipren', weightKg: 35, ageYears: 40 })).result.structuredContent;
+    assertEqual(adult.reason, 'outOfRange');
+  });
+
+  await testAsync('pediatric_dose should reject a weight of 0', async () => {
+    const response = await call('pediatric_dose', { medication: 'paracetamol', weightKg: 0 });
+    assertEqual(response.error.code, -32602);
+    assertContains(response.error.message, 'weightKg: must be more than 0');
+  });
+
+  await testAsync('every output schema should use the shared result definitions', async () => {
+    for (const tool of tools.filter(t => t.outputSchema)) {
+      assertEqual(tool.outputSchema.type, 'object', `for ${tool.name}`);
+      if (tool.outputSchema.definitions) {
+        assertEqual(JSON.stringify(tool.outputSchema.definitions), JSON.stringify(SCHEMA.definitions), `for ${tool.name}`);
+      }
+    }
+  });
+
+  await testAsync('the server should exit when stdin closes', async () => {
+    assertEqual(await client.close(), 0);
+  });
+
+  finish();
+}
+
+run();
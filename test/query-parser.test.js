@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Tests for the query parser
+ * Run with: npm test
+ */
+
+const { parseQuery, parseRegimen, parseWeight, parseAge, formMatches } = require('../scripts/query-parser.js');
+const { test, assertEqual, assertNull, finish } = require('./helpers');
+
+console.log('\n🧪 Query Parser Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n🔎 parseQuery\n');
+
+test('parseQuery should split name and strength', () => {
+  const parsed = parseQuery('alvedon 500mg');
+  assertEqual(parsed.name, 'alvedon');
+  assertEqual(parsed.strengthText, '500mg');
+  assertEqual(parsed.strength[0].value, 500);
+  assertEqual(parsed.strength[0].unit, 'mg');
+  assertNull(parsed.form);
+});
+
+test('parseQuery should read the form after the strength', () => {
+  const parsed = parseQuery('Ipren 400 mg tablett');
+  assertEqual(parsed.name, 'Ipren');
+  assertEqual(parsed.strengthText, '400 mg');
+  assertEqual(parsed.form, 'tablett');
+});
+
+test('parseQuery should keep multi-part strengths together', () => {
+  assertEqual(parseQuery('Alvedon 24 mg/ml oral suspension').strengthText, '24 mg/ml');
+  assertEqual(parseQuery('Kåvepenin 250 mg/5 ml').strengthText, '250 mg/5 ml');
+  const parsed = parseQuery('Symbicort 160 mikrogram/4,5 mikrogram/inhalation inhalationspulver');
+  assertEqual(parsed.strength.length, 2);
+  assertEqual(parsed.form, 'inhalationspulver');
+});
+
+test('parseQuery should find forms without a strength', () => {
+  const gel = parseQuery('Ipren gel');
+  assertEqual(gel.name, 'Ipren');
+  assertEqual(gel.form, 'gel');
+  assertNull(gel.strength);
+  assertEqual(parseQuery('alvedon brustabletter').form, 'brustablett');
+  assertEqual(parseQuery('Ipren 400 mg tablets').form, 'tablett');
+});
+
+test('parseQuery should leave numbers that are not strengths in the name', () => {
+  assertEqual(parseQuery('Abacavir 2care4').name, 'Abacavir 2care4');
+  assertEqual(parseQuery('Amorest 28').name, 'Amorest 28');
+  assertNull(parseQuery('Amorest 28').strength);
+});
+
+test('parseQuery should treat plain names as names', () => {
+  const parsed = parseQuery('  sertralin ');
+  assertEqual(parsed.name, 'sertralin');
+  assertNull(parsed.strength);
+  assertNull(parsed.form);
+  assertEqual(parseQuery('500 mg').name, '500 mg');
+  assertEqual(parseQuery('').name, '');
+});
+
+console.log('\n⏰ parseRegimen\n');
+
+test('parseRegimen should read doses per day in English and Swedish', () => {
+  const cases = {
+    'Alvedon 1 g x5': 5,
+    'Alvedon 1 g × 4': 4,
+    'Ipren 400 mg 3x/day': 3,
+    'Ipren 400 mg 3 times a day': 3,
+    'Panodil 500 mg 2 ggr/dygn': 2,
+    'Panodil 500 mg 4 gånger om dagen': 4,
+    'Imodium 2 mg 4/day': 4,
+    'Loratadin 10 mg once daily': 1,
+    'Zoloft 50 mg twice a day': 2
+  };
+  for (const [text, times] of Object.entries(cases)) {
+    assertEqual(parseRegimen(text).timesPerDay, times, `for ${text}`);
+  }
+  assertEqual(parseRegimen('Ipren 400 mg 3 times a day').medication, 'Ipren 400 mg');
+});
+
+test('parseRegimen should read tablets per dose and leave names alone', () => {
+  const regimen = parseRegimen('Alvedon 500 mg 2 tablets 3 times a day');
+  assertEqual(regimen.medication, 'Alvedon 500 mg');
+  assertEqual(regimen.unitsPerDose, 2);
+  assertEqual(parseRegimen('Alvedon 500 mg 2 st x4').unitsPerDose, 2);
+  const plain = parseRegimen('Amorest 28');
+  assertEqual(plain.medication, 'Amorest 28');
+  assertNull(plain.timesPerDay);
+  assertEqual(plain.unitsPerDose, 1);
+});
+
+test('parseWeight should read kg with or without a unit', () => {
+  assertEqual(parseWeight('18kg'), 18);
+  assertEqual(parseWeight('18,5 kg'), 18.5);
+  assertEqual(parseWeight('12'), 12);
+  assertEqual(parseWeight(9.5), 9.5);
+  assertNull(parseWeight('18 lbs'));
+  assertNull(parseWeight(0));
+});
+
+test('parseAge should read years by default and months when stated', () => {
+  assertEqual(parseAge('4'), 48);
+  assertEqual(parseAge(4), 48);
+  assertEqual(parseAge('4 år'), 48);
+  assertEqual(parseAge('1,5 years'), 18);
+  assertEqual(parseAge('8 months'), 8);
+  assertEqual(parseAge('8 mån'), 8);
+  assertEqual(parseAge('8m'), 8);
+  assertNull(parseAge('toddler'));
+});
+
+console.log('\n💊 formMatches\n');
+
+test('formMatches should match every query word in the product form', () => {
+  assertEqual(formMatches('Filmdragerad tablett', 'tablett'), true);
+  assertEqual(formMatches('Kapsel, hård', 'kapsel hård'), true);
+  assertEqual(formMatches('Oral suspension', 'tablett'), false);
+  assertEqual(formMatches('', 'gel'), false);
+});
+
+finish();
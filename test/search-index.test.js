@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Tests and benchmark for the search index
+ * Run with: npm test
+ *
+ * The index must return exactly what the original linear scans returned.
+ * The benchmark prints timings but does not assert them.
+ */
+
+const { FULL_DATABASE, SUBSTANCES_INDEX, getSearchIndex, searchByIndication } = require('../scripts/fass_lookup.js');
+const { createSearchIndex } = require('../scripts/search-index.js');
+const { normalizeForMatch } = require('../scripts/fuzzy.js');
+const { test, assertEqual, finish } = require('./helpers');
+
+/**
+ * The linear scan searchFullDatabase used before the index existed
+ */
+function linearSubstringScan(queryLower) {
+  const results = [];
+  for (const med of FULL_DATABASE) {
+    if (med.nameNormalized && med.nameNormalized.includes(queryLower)) {
+      results.push(med);
+      continue;
+    }
+    if (med.activeSubstances) {
+      for (const sub of med.activeSubstances) {
+        if (sub.toLowerCase().includes(queryLower)) {
+          results.push(med);
+          break;
+        }
+      }
+    }
+  }
+  return results;
+}
+
+function assertSameRecords(actual, expected, label) {
+  assertEqual(actual.length, expected.length, `(result count for "${label}")`);
+  for (let i = 0; i < expected.length; i++) {
+    if (actual[i] !== expected[i]) {
+      throw new Error(`Result ${i} for "${label}" differs: ${actual[i].name} vs ${expected[i].name}`);
+    }
+  }
+}
+
+/**
+ * Time `fn` over `rounds` calls, in milliseconds
+ */
+function time(fn, rounds) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < rounds; i++) fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Queries: whole names, first words, substances, substrings and misses
+const QUERIES = ['', 'a', 'mg', 'in', 'sertralin', 'ibuprofen', 'insulin', 'alvedon', 'lamivudin',
+  'tablett', 'nonexistentdrug12345', 'ol', 'para', 'accord'];
+for (let i = 0; i < FULL_DATABASE.length; i += 97) {
+  const med = FULL_DATABASE[i];
+  QUERIES.push(med.nameNormalized, med.nameNormalized.split(/\s+/)[0], med.nameNormalized.substring(2, 7));
+  for (const sub of med.activeSubstances) QUERIES.push(sub.toLowerCase());
+}
+
+console.log('\n🧪 Search Index Tests\n');
+console.log('─'.repeat(50));
+
+if (FULL_DATABASE.length === 0) {
+  console.log('\n⚠️  data/medications.json not found, skipping search index tests');
+  finish();
+}
+
+const index = createSearchIndex(FULL_DATABASE);
+
+console.log('\n🔎 Parity Tests\n');
+
+test(`findSubstring should match the linear scan for ${QUERIES.length} queries`, () => {
+  for (const query of QUERIES) {
+    assertSameRecords(index.findSubstring(query), linearSubstringScan(query), query);
+  }
+});
+
+test('findNormalized should match a linear scan over normalized names', () => {
+  const keys = FULL_DATABASE.map(med => [normalizeForMatch(med.name), ...med.activeSubstances.map(normalizeForMatch)]);
+  for (const query of ['sertralin', 'diklofenak', 'lakemedel', 'paraketamol', 'ko']) {
+    const expected = FULL_DATABASE.filter((_, i) => keys[i].some(key => key.includes(query)));
+    assertSameRecords(index.findNormalized(query), expected, query);
+  }
+});
+
+test('findByAtc should match a prefix scan at every ATC level', () => {
+  for (const prefix of ['N', 'N06', 'N06A', 'N06AB', 'N06AB06', 'M01AE01', 'X99']) {
+    const expected = FULL_DATABASE.filter(med => med.atcCode && med.atcCode.startsWith(prefix));
+    assertSameRecords(index.findByAtc(prefix), expected, prefix);
+  }
+});
+
+test('getByNplId should resolve every SUBSTANCES_INDEX entry', () => {
+  for (const [substance, ids] of Object.entries(SUBSTANCES_INDEX)) {
+    for (const nplId of ids) {
+      const med = index.getByNplId(nplId);
+      if (!med) throw new Error(`${substance}: nplId ${nplId} not found`);
+    }
+  }
+});
+
+test('findByAtcPrefixes should match a scan over several prefixes', () => {
+  for (const prefixes of [['N02B', 'M01A'], ['C09', 'C09AA', 'C03'], ['X99'], []]) {
+    const expected = FULL_DATABASE.filter(med => med.atcCode && prefixes.some(prefix => med.atcCode.startsWith(prefix)));
+    assertSameRecords(index.findByAtcPrefixes(prefixes), expected, prefixes.join());
+  }
+});
+
+test('searchByIndication should find products through the ATC index', () => {
+  const shared = getSearchIndex();
+  const findByAtcPrefixes = shared.findByAtcPrefixes;
+  const calls = [];
+  shared.findByAtcPrefixes = prefixes => {
+    calls.push(prefixes);
+    return findByAtcPrefixes(prefixes);
+  };
+  try {
+    const results = searchByIndication('blood pressure', { limit: 50 });
+    assertEqual(calls.length, 1);
+    assertEqual(results.some(med => med.fromDatabase && med.atc.startsWith('C09')), true);
+  } finally {
+    shared.findByAtcPrefixes = findByAtcPrefixes;
+  }
+});
+
+console.log('\n⏱️  Benchmark\n');
+
+// Timings vary with machine load, so they are printed, not asserted
+test('findSubstring and the linear scan should agree on the benchmark queries', () => {
+  const rounds = 200;
+  const queries = ['sertralin', 'ibuprofen', 'insulin', 'alvedon', 'metformin'];
+  const scanMs = time(() => queries.forEach(linearSubstringScan), rounds);
+  const indexMs = time(() => queries.forEach(q => index.findSubstring(q)), rounds);
+  console.log(`   ${rounds * queries.length} lookups: linear ${scanMs.toFixed(0)} ms, indexed ${indexMs.toFixed(0)} ms`);
+  for (const query of queries) {
+    assertSameRecords(index.findSubstring(query), linearSubstringScan(query), query);
+  }
+});
+
+finish();
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Tests for the HTTP API server
+ * Run with: npm test
+ *
+ * Starts the server on a free local port; no network access is needed.
+ */
+
+const http = require('http');
+const net = require('net');
+const { startServer } = require('../scripts/server.js');
+const { findMedication, getSearchIndex } = require('../scripts/fass_lookup.js');
+const { loadSchema, validate } = require('../scripts/json-schema.js');
+const { testAsync, assertEqual, assertContains, finish } = require('./helpers');
+
+const SCHEMA = loadSchema('medication-result');
+const ABACAVIR_LAMIVUDINE = findMedication('Abacavir/Lamivudine Accord');
+
+/**
+ * Send a request and resolve with { status, headers, body } (body parsed as JSON)
+ */
+function request(baseUrl, urlPath, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}${urlPath}`, { method }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null });
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error('Request timeout')));
+    req.end();
+  });
+}
+
+/**
+ * Write a raw HTTP request and resolve with the status code of the reply,
+ * for request targets that http.request would refuse to send
+ */
+function rawRequest(port, requestLine) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.write(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+    });
+    let data = '';
+    socket.on('data', chunk => { data += chunk; });
+    socket.on('end', () => resolve(parseInt(data.split(' ')[1], 10)));
+    socket.on('error', reject);
+    socket.setTimeout(10000, () => socket.destroy(new Error('Request timeout')));
+  });
+}
+
+function assertValid(value, definition) {
+  const errors = validate({ $ref: `#/definitions/${definition}` }, value, SCHEMA);
+  if (errors.length > 0) throw new Error(errors.slice(0, 3).join('; '));
+}
+
+async function run() {
+  console.log('\n🧪 HTTP API Server Tests\n');
+  console.log('─'.repeat(50));
+
+  const server = await startServer({ port: 0 });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const get = urlPath => request(baseUrl, urlPath);
+
+  console.log('\n🔍 Lookup and Search\n');
+
+  await testAsync('GET /lookup should return the best match', async () => {
+    const res = await get('/lookup?q=Ipren%20400%20mg%20tablett');
+    assertEqual(res.status, 200);
+    assertValid(res.body, 'lookup');
+    assertEqual(res.body.result.form, 'Filmdragerad tablett');
+  });
+
+  await testAsync('GET /lookup should answer 404 with suggestions for unknown names', async () => {
+    const res = await get('/lookup?q=qqqqqqqq');
+    assertEqual(res.status, 404);
+    assertValid(res.body, 'lookup');
+    assertEqual(res.body.found, false);
+  });
+
+  await testAsync('GET /medications should search with filters', async () => {
+    const res = await get('/medications?q=ibuprofen&otc=true&form=gel');
+    assertEqual(res.status, 200);
+    assertValid(res.body, 'resultList');
+    assertEqual(res.body.total, 1);
+    assertEqual(res.body.results[0].name, 'Ipren');
+  });
+
+  await testAsync('GET /medications should page results', async () => {
+    const first = await get('/medications?q=insulin&limit=5');
+    const second = await get('/medications?q=insulin&limit=5&offset=5');
+    assertEqual(first.body.results.length, 5);
+    assertEqual(second.body.offset, 5);
+    assertEqual(second.body.total, first.body.total);
+    const families = await get('/medications?q=insulin&families=true&limit=100');
+    assertEqual(families.body.results.every(r => r.source === 'curated' || r.family === true), true);
+  });
+
+  await testAsync('GET /medications should reject invalid parameters with 400', async () => {
+    for (const urlPath of [
+      '/medications',
+      '/medications?q=',
+      '/medications?q=insulin&limit=0',
+      '/medications?q=insulin&limit=abc',
+      '/medications?q=insulin&offset=-1',
+      '/medications?q=insulin&otc=maybe',
+      '/medications?q=insulin&otc=true&rx=true',
+      '/medications?q=insulin&atc=XX'
+    ]) {
+      const res = await get(urlPath);
+      assertEqual(res.status, 400, `for ${urlPath}`);
+      assertEqual(typeof res.body.error, 'string', `for ${urlPath}`);
+    }
+  });
+
+  await testAsync('GET /medications should answer 500 and log unexpected search failures', async () => {
+    const lines = [];
+    const logged = await startServer({ port: 0, log: line => lines.push(line) });
+    const index = getSearchIndex();
+    const findSubstring = index.findSubstring;
+    index.findSubstring = () => { throw new Error('index broken'); };
+    try {
+      const res = await request(`http://127.0.0.1:${logged.address().port}`, '/medications?q=insulin&atc=A10');
+      assertEqual(res.status, 500);
+      assertContains(lines.join('\n'), 'Error: index broken');
+    } finally {
+      index.findSubstring = findSubstring;
+      await new Promise(resolve => logged.close(resolve));
+    }
+  });
+
+  console.log('\n💊 Products\n');
+
+  await testAsync('GET /medications/:nplId should return one product', async () => {
+    const res = await get(`/medications/${ABACAVIR_LAMIVUDINE.nplId}`);
+    assertEqual(res.status, 200);
+    assertValid(res.body, 'medication');
+    assertEqual(res.body.name, 'Abacavir/Lamivudine Accord');
+    assertEqual(res.body.nplId, ABACAVIR_LAMIVUDINE.nplId);
+  });
+
+  await testAsync('GET /medications/:nplId should answer 400 for malformed and 404 for unknown ids', async () => {
+    assertEqual((await get('/medications/123')).status, 400);
+    const res = await get('/medications/99999999999999');
+    assertEqual(res.status, 404);
+    assertContains(res.body.error, '99999999999999');
+  });
+
+  await testAsync('GET /medications/:nplId/equivalents should list interchangeable products', async () => {
+    const res = await get(`/medications/${ABACAVIR_LAMIVUDINE.nplId}/equivalents`);
+    assertEqual(res.status, 200);
+    assertEqual(res.body.groups.length, 1);
+    assertEqual((await get('/medications/99999999999999/equivalents')).status, 404);
+  });
+
+  console.log('\n🌳 ATC and Interactions\n');
+
+  await testAsync('GET /atc/:code should return the group and a page of products', async () => {
+    const res = await get('/atc/n02be01?limit=2');
+    assertEqual(res.status, 200);
+    assertValid(res.body, 'resultList');
+    assertEqual(res.body.tree.code, 'N02BE01');
+    assertEqual(res.body.results.length, 2);
+    assertEqual(res.body.total > 2, true);
+  });
+
+  await testAsync('GET /atc/:code should answer 400 for invalid and 404 for unknown codes', async () => {
+    assertEqual((await get('/atc/QQ')).status, 400);
+    assertEqual((await get('/atc/Z99')).status, 404);
+  });
+
+  await testAsync('GET /interactions should check every pair', async () => {
+    const res = await get('/interactions?drugs=Waran,Ipren,Sertralin');
+    assertEqual(res.status, 200);
+    assertEqual(res.body.medications.length, 3);
+    assertEqual(res.body.interactions[0].severity, 'D');
+  });
+
+  await testAsync('GET /interactions should report fragments as unresolved instead of guessing', async () => {
+    const res = await get('/interactions?drugs=Waran,bar');
+    assertEqual(res.status, 200);
+    assertEqual(res.body.unresolved.join(), 'bar');
+    assertEqual(res.body.medications.length, 1);
+  });
+
+  await testAsync('GET /interactions should need two medications and a valid atcLevel', async () => {
+    assertEqual((await get('/interactions?drugs=Waran')).status, 400);
+    assertEqual((await get('/interactions?drugs=Waran,Ipren&atcLevel=9')).status, 400);
+  });
+
+  console.log('\n🌐 HTTP\n');
+
+  await testAsync('responses should allow cross-origin requests', async () => {
+    const res = await get('/stats');
+    assertEqual(res.status, 200);
+    assertEqual(res.headers['access-control-allow-origin'], '*');
+    assertContains(res.headers['content-type'], 'application/json');
+
+    const preflight = await request(baseUrl, '/medications', 'OPTIONS');
+    assertEqual(preflight.status, 204);
+    assertContains(preflight.headers['access-control-allow-methods'], 'GET');
+  });
+
+  await testAsync('unknown paths should be 404 and other methods 405', async () => {
+    assertEqual((await get('/nope')).status, 404);
+    assertEqual((await request(baseUrl, '/stats', 'POST')).status, 405);
+  });
+
+  await testAsync('malformed request targets should be 400 without stopping the server', async () => {
+    assertEqual(await rawRequest(server.address().port, 'GET http://[ HTTP/1.1'), 400);
+    assertEqual((await get('/stats')).status, 200);
+  });
+
+  await new Promise(resolve => server.close(resolve));
+  finish();
+}
+
+run();
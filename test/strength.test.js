@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Tests for the strength parser
+ * Run with: npm test
+ */
+
+const { FULL_DATABASE } = require('../scripts/fass_lookup.js');
+const { parseStrength, parseProductStrength, normalizeUnit, toMilligrams, strengthKey } = require('../scripts/strength.js');
+const { test, assertEqual, assertNull, assertNotNull, finish } = require('./helpers');
+
+/**
+ * Compact text form of parsed components, e.g. "600 mg + 2.5 mg/1 ml"
+ */
+function describe(components) {
+  return components.map(c => `${c.value} ${c.unit}${c.per ? `/${c.per.value} ${c.per.unit}` : ''}`).join(' + ');
+}
+
+function assertParses(text, expected) {
+  const parsed = parseStrength(text);
+  assertNotNull(parsed, `for "${text}"`);
+  assertEqual(describe(parsed), expected, `for "${text}"`);
+}
+
+console.log('\n🧪 Strength Parser Tests\n');
+console.log('─'.repeat(50));
+
+console.log('\n⚖️  parseStrength\n');
+
+test('parseStrength should parse single amounts', () => {
+  assertParses('500 mg', '500 mg');
+  assertParses('1 g', '1 g');
+  assertParses('100 mikrogram', '100 µg');
+  assertParses('0,1%', '0.1 %');
+});
+
+test('parseStrength should handle Swedish decimal commas', () => {
+  assertParses('2,5 mg', '2.5 mg');
+  assertParses('0,5 mg/dos', '0.5 mg/1 dos');
+  assertParses('7,5 mg/0,6 ml', '7.5 mg/0.6 ml');
+});
+
+test('parseStrength should split combination products', () => {
+  assertParses('600 mg/300 mg', '600 mg + 300 mg');
+  assertParses('125 mg/50 mg/10 mg', '125 mg + 50 mg + 10 mg');
+  assertParses('90 mg + 180 mg', '90 mg + 180 mg');
+  assertParses('500 mg/800 IE', '500 mg + 800 IE');
+  assertParses('150 mg/ 300 mg', '150 mg + 300 mg');
+});
+
+test('parseStrength should parse per-ml and per-dose units', () => {
+  assertParses('100 E/ml', '100 E/1 ml');
+  assertParses('100 enheter/ml', '100 E/1 ml');
+  assertParses('250 mg/5 ml', '250 mg/5 ml');
+  assertParses('27,5 mikrogram/spraydos', '27.5 µg/1 spraydos');
+  assertParses('25 mikrogram/24 timmar', '25 µg/24 h');
+  assertParses('10 mg/g + 0,25 mg/g', '10 mg/1 g + 0.25 mg/1 g');
+});
+
+test('parseStrength should share a trailing unit between combined substances', () => {
+  assertParses('160 mikrogram/4,5 mikrogram/inhalation', '160 µg/1 inhalation + 4.5 µg/1 inhalation');
+  assertParses('100 mikrogram/6 mikrogram per dos', '100 µg/1 dos + 6 µg/1 dos');
+  assertParses('(300 IE + 150 IE)/0,48 ml', '300 IE/0.48 ml + 150 IE/0.48 ml');
+});
+
+test('parseStrength should read thousands separators and multipliers', () => {
+  assertParses('10 000 IE/1 ml', '10000 IE/1 ml');
+  assertParses('2 miljoner IE', '2000000 IE');
+});
+
+test('parseStrength should ignore restatements in parentheses', () => {
+  assertParses('0,2 % (2 mg/ml)', '0.2 %');
+  assertParses('300 mg (8,1 mmol)', '300 mg');
+});
+
+test('parseStrength should return null for empty or unparseable text', () => {
+  assertNull(parseStrength(''));
+  assertNull(parseStrength(null));
+  assertNull(parseStrength('-'));
+  assertNull(parseStrength('3,2 - 100 miljoner celler'));
+});
+
+console.log('\n💊 Products\n');
+
+test('parseProductStrength should pair values with substances', () => {
+  const parsed = parseProductStrength('600 mg/300 mg', ['Abakavir', 'lamivudin']);
+  assertEqual(parsed[0].substance, 'Abakavir');
+  assertEqual(parsed[0].value, 600);
+  assertEqual(parsed[1].substance, 'lamivudin');
+  assertEqual(parsed[1].unit, 'mg');
+  assertNull(parsed[1].per);
+});
+
+test('parseProductStrength should leave substances unset when counts differ', () => {
+  const parsed = parseProductStrength('500 mg/800 IE', ['Kalciumkarbonat']);
+  assertNull(parsed[0].substance);
+});
+
+test('parseProductStrength should not share objects between products', () => {
+  const a = parseProductStrength('10 mg/ml', ['A']);
+  const b = parseProductStrength('10 mg/ml', ['B']);
+  a[0].per.value = 5;
+  assertEqual(b[0].per.value, 1);
+});
+
+test('toMilligrams and strengthKey should compare masses across units', () => {
+  assertEqual(toMilligrams(1.5, 'g'), 1500);
+  assertEqual(toMilligrams(250, 'µg'), 0.25);
+  assertNull(toMilligrams(100, 'IE'));
+  assertEqual(strengthKey(parseStrength('1,5 g')), strengthKey(parseStrength('1500 mg')));
+  assertEqual(strengthKey(parseStrength('150 mikrogram/30 mikrogram')), strengthKey(parseStrength('0,15 mg/0,03 mg')));
+});
+
+test('normalizeUnit should map spellings to one unit', () => {
+  assertEqual(normalizeUnit('mikrogram'), 'µg');
+  assertEqual(normalizeUnit('mL'), 'ml');
+  assertEqual(normalizeUnit('timmar'), 'h');
+  assertEqual(normalizeUnit('anti-Xa IE'), 'anti-Xa IE');
+});
+
+test('parseStrength should understand nearly all database strengths', () => {
+  const withStrength = FULL_DATABASE.filter(med => med.strength);
+  const parsed = withStrength.filter(med => med.parsedStrength);
+  const share = parsed.length / withStrength.length;
+  if (share < 0.99) {
+    throw new Error(`Only ${(share * 100).toFixed(1)}% of strengths parsed`);
+  }
+});
+
+finish();